@@ -1,28 +1,26 @@
 import { io } from "socket.io-client";
 import { Renderer } from "./renderer.js";
-
-const socket = io();
+import { TICK_MS, stepMovement, loadWorld, loadRoomDistrict, getWorld, getDistrict, isBattleRoom, BATTLE_DISTRICT, findArea, findInteractable, centerOf, exitArrival } from "../../shared/world.js";
+import { loadFurnitureCatalog, getFurnitureCatalog, getFurnitureType, furnitureAt } from "../../shared/furniture.js";
+import { cityBuybackPrice } from "../../shared/houses.js";
+
+// Session token survives page reloads; it is sent in the handshake on every (re)connect
+const SESSION_STORAGE_KEY = 'wod_session_token';
+const socket = io({
+    auth: (cb) => cb({ token: localStorage.getItem(SESSION_STORAGE_KEY) })
+});
 const renderer = new Renderer('game-canvas');
 
 let players = {};
 let myId = null;
-let lastState = 'idle'; // Track state for emission
-
-// Battle Zone Obstacles (matching renderer.js drawBattleZone)
-const BATTLE_OBSTACLES = [
-    { x: 200, y: 150, width: 80, height: 80 },  // Top-left
-    { x: 520, y: 150, width: 80, height: 80 },  // Top-right
-    { x: 200, y: 370, width: 80, height: 80 },  // Bottom-left
-    { x: 520, y: 370, width: 80, height: 80 },  // Bottom-right
-    { x: 260, y: 260, width: 80, height: 80 },  // Center-left
-    { x: 460, y: 260, width: 80, height: 80 },  // Center-right
-];
 
 // Game State
 let isLoggedIn = false;
 let myUsername = "";
-let myPassword = ""; // Store for auto-relogin
 let myMoney = 0;
+let myInventory = {}; // itemId -> quantity
+let myFurniture = {}; // furniture type -> how many we have to place
+let myFriends = []; // Usernames that may visit our friends-only houses
 let houses = {};
 let currentDistrict = "plaza";
 
@@ -42,6 +40,7 @@ const keys = {
     ArrowDown: false,
     ArrowRight: false,
     e: false,
+    o: false,
     space: false
 };
 
@@ -49,26 +48,42 @@ const keys = {
 socket.on('connect', () => {
     console.log('Connected to server');
     myId = socket.id;
+    // Session resume happens server-side from the handshake token
+});
 
-    // Auto-relogin check
-    if (isLoggedIn && myUsername && myPassword) {
-        console.log("Attempting auto-relogin...");
-        socket.emit('login', { username: myUsername, password: myPassword });
-    }
+// The server ends sockets it logged out elsewhere (log out everywhere, a reloaded tab):
+// come back without a token to get the login form, but never fight over a live session
+socket.on('disconnect', (reason) => {
+    if (reason === 'io server disconnect' && !localStorage.getItem(SESSION_STORAGE_KEY)) socket.connect();
 });
 
 socket.on('authError', (msg) => {
     authError.textContent = msg;
 });
 
-socket.on('loginSuccess', (data) => {
+socket.on('loginSuccess', ({ sessionToken, world, ...data }) => {
     isLoggedIn = true;
     myUsername = data.username;
     myId = data.playerId;
     players[myId] = data;
+    resetPrediction(data);
+
+    if (sessionToken) localStorage.setItem(SESSION_STORAGE_KEY, sessionToken);
+
+    // District layout comes from the server (same data it validates movement against)
+    if (world) {
+        loadWorld(world);
+        loadDistrictMusic();
+    }
 
     // Fallback if server doesn't send money initially (it should)
     myMoney = data.money || 0;
+    myInventory = data.inventory || {};
+    myFurniture = data.furnitureInventory || {};
+    myFriends = data.friends || [];
+    loadFurnitureCatalog(data.furnitureCatalog || []);
+    quizProgress = data.quizProgress || null;
+    setQuizSubjects(data.quizSubjects || []);
 
     // Load items from server
     if (data.items && Array.isArray(data.items)) {
@@ -88,6 +103,26 @@ socket.on('loginSuccess', (data) => {
     currentDistrict = data.district;
 });
 
+// Stored token was revoked or expired: fall back to the login form
+socket.on('sessionExpired', () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    showLoginScreen();
+});
+
+socket.on('loggedOut', () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    showLoginScreen();
+});
+
+function showLoginScreen() {
+    isLoggedIn = false;
+    myUsername = "";
+    players = {};
+    loginOverlay.style.display = 'flex';
+    uiLayer.style.display = 'none';
+    if (currentAudio) currentAudio.pause();
+}
+
 socket.on('updateMoney', (amount) => {
     myMoney = amount;
     updateStatsUI();
@@ -97,8 +132,16 @@ socket.on('houseData', (data) => {
     houses = data;
 });
 
+// Layout of the house we're walking into; comes before setDistrict
+socket.on('houseInterior', ({ room, district, house }) => {
+    loadRoomDistrict(room, district);
+    houses[house.id] = house;
+});
+
 socket.on('houseUpdate', (house) => {
     houses[house.id] = house;
+    renderHouseSettings();
+    renderHouseMarket();
 });
 
 socket.on('currentPlayers', (serverPlayers) => {
@@ -108,6 +151,7 @@ socket.on('currentPlayers', (serverPlayers) => {
     // Convert array to object if needed, or handle as provided
     // Server now sends array for initial list
     players = {};
+    clearPositionBuffers();
     if (Array.isArray(serverPlayers)) {
         serverPlayers.forEach(p => players[p.playerId] = p);
     } else {
@@ -118,6 +162,8 @@ socket.on('currentPlayers', (serverPlayers) => {
 // Helper to update player state without losing properties
 function updatePlayer(playerData) {
     if (!playerData || !playerData.playerId) return;
+    // Server placed the player explicitly (join, respawn...): snap instead of gliding there
+    if (playerData.x !== undefined) delete positionBuffers[playerData.playerId];
     if (players[playerData.playerId]) {
         players[playerData.playerId] = { ...players[playerData.playerId], ...playerData };
     } else {
@@ -129,25 +175,70 @@ socket.on('newPlayer', (player) => {
     updatePlayer(player);
 });
 
-socket.on('playerMoved', (player) => {
-    updatePlayer(player);
+// Fixed-rate server snapshot: only the fields that changed since the previous one
+socket.on('snapshot', (snapshot) => {
+    if (!isLoggedIn) return;
+    const now = performance.now();
+
+    snapshot.players.forEach(({ id, ...fields }) => {
+        const player = players[id];
+        if (!player) return;
+        if (id === myId) {
+            // Our own position is predicted locally; the server's copy is only used to reconcile
+            if (fields.x !== undefined) serverPosition.x = fields.x;
+            if (fields.y !== undefined) serverPosition.y = fields.y;
+            if (fields.inputSeq !== undefined) lastAckedSeq = fields.inputSeq;
+            const positionChanged = fields.x !== undefined || fields.y !== undefined || fields.inputSeq !== undefined;
+            delete fields.x;
+            delete fields.y;
+            delete fields.state;
+            delete fields.inputSeq;
+            if (positionChanged) reconcileLocalPlayer();
+        }
+        Object.assign(player, fields);
+    });
+
+    // Sample every remote player each snapshot so buffers stay continuous while idle
+    Object.values(players).forEach(p => {
+        if (p.playerId !== myId) bufferPosition(p.playerId, p.x, p.y, now);
+    });
+});
+
+// Geometry of the battle room we're in (or about to enter); comes before setDistrict
+socket.on('battleMap', ({ room, map }) => {
+    loadRoomDistrict(room, map);
 });
 
 socket.on('playerUpdate', (updatedPlayer) => {
+    // Spawn protection comes as a duration; keep the local time it runs out
+    if (updatedPlayer.spawnProtection !== undefined) {
+        updatedPlayer = { ...updatedPlayer, protectedUntil: Date.now() + updatedPlayer.spawnProtection };
+        delete updatedPlayer.spawnProtection;
+    }
     updatePlayer(updatedPlayer);
 });
 
 socket.on('playerDisconnected', (id) => {
     delete players[id];
+    delete positionBuffers[id];
 });
 
 socket.on('playerChangedDistrict', (newPlayersList) => {
     // Keep local player if in the list, or clear if totally new district
     const oldPlayers = { ...players };
     players = {};
+    clearPositionBuffers();
+    projectiles = {};
+    attackEffects = [];
     newPlayersList.forEach(p => {
+        if (p.playerId === myId) {
+            serverPosition = { x: p.x, y: p.y };
+            lastAckedSeq = p.inputSeq || 0;
+        }
         if (oldPlayers[p.playerId]) {
-            players[p.playerId] = { ...oldPlayers[p.playerId], ...p };
+            // Combat fields only count if the server still sends them (battle rooms)
+            const { hp, maxHp, team, mode, protectedUntil, ...previous } = oldPlayers[p.playerId];
+            players[p.playerId] = { ...previous, ...p };
         } else {
             players[p.playerId] = p;
         }
@@ -168,8 +259,105 @@ socket.on('playerHit', ({ targetId, hp, attackerId }) => {
     }
 });
 
+// --- PREDICTION & RECONCILIATION ---
+// The local player moves immediately from our own inputs (prediction). Every input is
+// numbered and kept until the server acknowledges it in a snapshot (inputSeq); then we
+// restart from the server's position and replay the unacknowledged inputs on top.
+// Any resulting jump is eased out on the drawn sprite via correctionOffset.
+const INPUT_SEND_INTERVAL = 50; // Batch inputs to the server at its tick rate
+const SNAP_DISTANCE = 150; // Larger corrections (teleports) are applied instantly
+
+let inputSeq = 0;
+let lastAckedSeq = 0;
+let pendingInputs = []; // Sent (or about to be) but not yet acknowledged
+let unsentInputs = [];
+let lastInputFlush = 0;
+let lastInputIdle = true;
+let serverPosition = { x: 0, y: 0 };
+let pendingDistrict = null; // Set while a district change we asked for is in flight
+let correctionOffset = { x: 0, y: 0 };
+
+function resetPrediction(me) {
+    inputSeq = me.inputSeq || 0;
+    lastAckedSeq = inputSeq;
+    pendingInputs = [];
+    unsentInputs = [];
+    lastInputIdle = true;
+    serverPosition = { x: me.x, y: me.y };
+    pendingDistrict = null;
+    correctionOffset = { x: 0, y: 0 };
+}
+
+function flushInputs(force = false) {
+    if (unsentInputs.length === 0) return;
+    const now = performance.now();
+    // Stopping is sent right away so others see us go idle without delay
+    if (!force && !lastInputIdle && now - lastInputFlush < INPUT_SEND_INTERVAL) return;
+
+    socket.emit('playerInput', unsentInputs);
+    unsentInputs = [];
+    lastInputFlush = now;
+}
+
+function reconcileLocalPlayer() {
+    const me = players[myId];
+    if (!me || pendingDistrict) return;
+
+    while (pendingInputs.length > 0 && pendingInputs[0].seq <= lastAckedSeq) pendingInputs.shift();
+
+    let pos = { ...serverPosition };
+    pendingInputs.forEach(input => {
+        pos = stepMovement(currentDistrict, pos, input);
+    });
+
+    const dx = me.x - pos.x;
+    const dy = me.y - pos.y;
+    if (dx === 0 && dy === 0) return;
+
+    if (Math.hypot(dx, dy) < SNAP_DISTANCE) {
+        correctionOffset.x += dx;
+        correctionOffset.y += dy;
+    } else {
+        correctionOffset = { x: 0, y: 0 };
+    }
+    me.x = pos.x;
+    me.y = pos.y;
+}
+
+// Death screen until the server respawns us (or the round is over in last man standing)
+const deathScreen = document.getElementById('death-screen');
+const deathKiller = document.getElementById('death-killer');
+const deathTimer = document.getElementById('death-timer');
+let respawnAt = null;
+let deathTimerInterval = null;
+
+function hideDeathScreen() {
+    deathScreen.style.display = 'none';
+    if (deathTimerInterval) clearInterval(deathTimerInterval);
+    deathTimerInterval = null;
+}
+
+function renderDeathTimer() {
+    deathTimer.textContent = respawnAt === null
+        ? 'Out for this round'
+        : `Respawning in ${Math.max(0, Math.ceil((respawnAt - Date.now()) / 1000))}...`;
+}
+
+socket.on('playerDied', ({ killerName, killerColor, respawnIn }) => {
+    const killer = document.createElement('span');
+    killer.style.color = killerColor;
+    killer.textContent = killerName;
+    deathKiller.replaceChildren('by ', killer);
+    respawnAt = respawnIn === null ? null : Date.now() + respawnIn;
+    renderDeathTimer();
+    deathScreen.style.display = 'block';
+    if (deathTimerInterval) clearInterval(deathTimerInterval);
+    if (respawnAt !== null) deathTimerInterval = setInterval(renderDeathTimer, 250);
+    Object.keys(keys).forEach(k => keys[k] = false);
+});
+
 socket.on('playerRespawned', () => {
-    console.log('You respawned!');
+    hideDeathScreen();
 });
 
 // Auth Logic
@@ -182,8 +370,9 @@ loginBtn.addEventListener('click', () => {
     const username = usernameInput.value.trim();
     const password = passwordInput.value.trim();
     if (username && password) {
-        myPassword = password; // Save for reconnect
+        authError.textContent = '';
         socket.emit('login', { username, password });
+        passwordInput.value = '';
     }
 });
 
@@ -191,8 +380,9 @@ registerBtn.addEventListener('click', () => {
     const username = usernameInput.value.trim();
     const password = passwordInput.value.trim();
     if (username && password) {
-        myPassword = password; // Save for reconnect
+        authError.textContent = '';
         socket.emit('register', { username, password });
+        passwordInput.value = '';
     }
 });
 
@@ -215,6 +405,20 @@ if (openMapBtn) {
     });
 }
 
+const logoutBtn = document.getElementById('logout-btn');
+if (logoutBtn) {
+    logoutBtn.addEventListener('click', () => {
+        socket.emit('logout');
+    });
+}
+
+const logoutAllBtn = document.getElementById('logout-all-btn');
+if (logoutAllBtn) {
+    logoutAllBtn.addEventListener('click', () => {
+        if (confirm('Log out on every device?')) socket.emit('logoutAll');
+    });
+}
+
 if (closeMapBtn) {
     closeMapBtn.addEventListener('click', () => {
         mapModal.style.display = 'none';
@@ -232,6 +436,9 @@ mapNodes.forEach(node => {
                 window.location.href = targetUrl;
                 return;
             }
+            flushInputs(true);
+            pendingInputs = [];
+            pendingDistrict = target;
             socket.emit('joinDistrict', target);
             currentDistrict = target;
             mapModal.style.display = 'none';
@@ -288,6 +495,8 @@ function openShop() {
     shopItemsContainer.innerHTML = '';
 
     SHOP_ITEMS.forEach(item => {
+        // One copy of each weapon is enough (unless it stacks)
+        const owned = !item.stackable && myInventory[item.id] > 0;
         const div = document.createElement('div');
         div.className = 'shop-item';
         div.innerHTML = `
@@ -297,7 +506,9 @@ function openShop() {
             </div>
             <div>
                 <span>${item.price} Coins</span>
-                <button onclick="buyItem('${item.id}')">Buy</button>
+                ${owned
+                    ? '<button disabled>Owned</button>'
+                    : `<button onclick="buyItem('${item.id}')">Buy</button>`}
             </div>
         `;
         shopItemsContainer.appendChild(div);
@@ -323,16 +534,166 @@ socket.on('itemBought', (res) => {
     }
 });
 
+// Inventory UI Logic
+const inventoryModal = document.getElementById('inventory-modal');
+const inventoryItemsContainer = document.getElementById('inventory-items');
+const openInventoryBtn = document.getElementById('open-inventory-btn');
+const closeInventoryBtn = document.getElementById('close-inventory-btn');
+
+function openInventory() {
+    inventoryModal.style.display = 'flex';
+    renderInventory();
+}
+
+function renderInventory() {
+    if (inventoryModal.style.display === 'none') return;
+    inventoryItemsContainer.innerHTML = '';
+
+    const equipped = players[myId] ? players[myId].equipment : null;
+    const owned = Object.keys(myInventory).filter(id => myInventory[id] > 0);
+    if (owned.length === 0) {
+        inventoryItemsContainer.innerHTML = '<p>Nothing here yet. Visit the Weapon Store in the Arena!</p>';
+        return;
+    }
+
+    owned.forEach(itemId => {
+        const item = SHOP_ITEMS.find(i => i.id === itemId) || { id: itemId, name: itemId, price: 0 };
+        const isEquipped = equipped === itemId;
+        const div = document.createElement('div');
+        div.className = `shop-item inventory-item ${isEquipped ? 'equipped' : ''}`;
+        div.innerHTML = `
+            <div>
+                <strong>${item.name}</strong>${myInventory[itemId] > 1 ? ` x${myInventory[itemId]}` : ''}<br>
+                <small>${isEquipped ? 'Equipped' : (item.type || '')}</small>
+            </div>
+            <div>
+                ${isEquipped
+                    ? `<button onclick="unequipItem()">Unequip</button>`
+                    : `<button onclick="equipItem('${itemId}')">Equip</button>`}
+                <button onclick="sellItem('${itemId}')">Sell (${item.sellPrice || 0})</button>
+            </div>
+        `;
+        inventoryItemsContainer.appendChild(div);
+    });
+}
+
+window.equipItem = function (itemId) {
+    socket.emit('equipItem', itemId);
+};
+
+window.unequipItem = function () {
+    socket.emit('unequipItem');
+};
+
+window.sellItem = function (itemId) {
+    socket.emit('sellItem', itemId);
+};
+
+socket.on('inventoryUpdate', ({ inventory, equipment }) => {
+    myInventory = inventory || {};
+    if (players[myId]) players[myId].equipment = equipment;
+    renderInventory();
+    if (shopModal.style.display === 'flex') openShop();
+});
+
+socket.on('itemSold', ({ item, refund }) => {
+    addChatMessage({ id: 'SYSTEM', text: `Sold ${item.name} for ${refund} coins`, color: '#ffff00' });
+});
+
+if (openInventoryBtn) {
+    openInventoryBtn.addEventListener('click', () => {
+        openInventory();
+        // Release keys when opening menu to prevent stuck movement
+        Object.keys(keys).forEach(k => keys[k] = false);
+    });
+}
+
+if (closeInventoryBtn) {
+    closeInventoryBtn.addEventListener('click', () => {
+        inventoryModal.style.display = 'none';
+    });
+}
+
 // Battle Setup UI Logic
 const battleModal = document.getElementById('battle-modal');
 const enterBattleBtn = document.getElementById('enter-battle-btn');
 
 const closeBattleBtn = document.getElementById('close-battle-btn');
 const modeRadios = document.querySelectorAll('input[name="mode"]');
+const battleTeamDiv = document.getElementById('battle-team');
+const battleTeamSelect = document.getElementById('battle-team-select');
+const battleTeamSizeSelect = document.getElementById('battle-team-size');
+const battleQueueDiv = document.getElementById('battle-queue');
+const leaveQueueBtn = document.getElementById('leave-queue-btn');
+
+let queueStatus = null; // Set while waiting in the matchmaking queue, with a local start time
+
+const QUEUE_ERRORS = {
+    unknown_mode: "Pick a game mode.",
+    in_battle: "You're already in a battle.",
+    invalid_team_size: "Pick a team size."
+};
+
+function selectedMode() {
+    const checked = [...modeRadios].find(radio => radio.checked);
+    return checked ? checked.value : 'ffa';
+}
 
 function openBattleSetup() {
-    // Skip modal and enter Deathmatch directly
-    socket.emit('joinBattle', { mode: 'solo', team: null });
+    battleTeamDiv.style.display = selectedMode() === 'tdm' ? '' : 'none';
+    renderQueueStatus();
+    battleModal.style.display = 'flex';
+}
+
+function renderQueueStatus() {
+    enterBattleBtn.style.display = queueStatus ? 'none' : '';
+    leaveQueueBtn.style.display = queueStatus ? '' : 'none';
+    if (!queueStatus) {
+        battleQueueDiv.style.display = 'none';
+        return;
+    }
+    const size = queueStatus.teamSize ? ` ${queueStatus.teamSize}v${queueStatus.teamSize}` : '';
+    const waited = Math.floor((Date.now() - queueStatus.since) / 1000);
+    battleQueueDiv.innerHTML = `
+        <div>Searching: ${queueStatus.modeName}${size} · ${waited}s</div>
+        <div>${queueStatus.waiting}/${queueStatus.needed} players waiting (you're #${queueStatus.position})</div>
+    `;
+    battleQueueDiv.style.display = 'block';
+}
+
+socket.on('queueStatus', (status) => {
+    // Keep counting from when we joined, not from the latest update
+    queueStatus = status ? { ...status, since: Date.now() - status.waited } : null;
+    renderQueueStatus();
+});
+
+socket.on('queueError', (reason) => {
+    alert(QUEUE_ERRORS[reason] || 'Could not join the queue.');
+});
+
+// Waiting time ticks up while the modal is open
+setInterval(() => {
+    if (queueStatus && battleModal.style.display !== 'none') renderQueueStatus();
+}, 1000);
+
+if (leaveQueueBtn) {
+    leaveQueueBtn.addEventListener('click', () => socket.emit('leaveQueue'));
+}
+
+// Team choice only matters for team deathmatch
+modeRadios.forEach(radio => radio.addEventListener('change', () => {
+    battleTeamDiv.style.display = selectedMode() === 'tdm' ? '' : 'none';
+}));
+
+if (enterBattleBtn) {
+    enterBattleBtn.addEventListener('click', () => {
+        const mode = selectedMode();
+        socket.emit('joinBattle', {
+            mode,
+            teamSize: mode === 'tdm' ? Number(battleTeamSizeSelect.value) : null,
+            team: mode === 'tdm' ? battleTeamSelect.value || null : null
+        });
+    });
 }
 
 if (closeBattleBtn) {
@@ -349,64 +710,366 @@ const submitQuizBtn = document.getElementById('submit-quiz-btn');
 const closeQuizBtn = document.getElementById('close-quiz-btn');
 const quizQuestion = document.getElementById('quiz-question');
 const quizFeedback = document.getElementById('quiz-feedback');
+const quizSubjectSelect = document.getElementById('quiz-subject');
+const quizProgressDiv = document.getElementById('quiz-progress');
+const quizChoicesDiv = document.getElementById('quiz-choices');
+
+let currentQuestionId = null;
+let quizProgress = null;
+
+function setQuizSubjects(subjects) {
+    const selected = quizSubjectSelect.value;
+    quizSubjectSelect.innerHTML = '<option value="mixed">Mixed</option>';
+    subjects.forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        quizSubjectSelect.appendChild(option);
+    });
+    // Keep the current pick unless its bank was just disabled
+    if (subjects.some(subject => subject.id === selected)) quizSubjectSelect.value = selected;
+}
+
+// Banks can be added or disabled while we play
+socket.on('quizSubjects', setQuizSubjects);
 
-let currentQuizAnswer = 0;
+function renderQuizProgress() {
+    if (!quizProgress) return;
+    const { level, streak, bestStreak, answered, correct } = quizProgress;
+    const accuracy = answered ? Math.round((correct / answered) * 100) : 0;
+    quizProgressDiv.textContent = `Level ${level} · Streak ${streak} (best ${bestStreak}) · ${accuracy}% of ${answered}`;
+}
+
+const QUIZ_MESSAGES = {
+    incorrect: "Incorrect! Here's another one.",
+    expired: "Too slow! Here's another one.",
+    unknown_question: "That question is no longer valid.",
+    too_fast: "Take a moment to read the question!",
+    unknown_subject: "That subject is no longer available.",
+    rate_limited: "The teacher needs a break. Come back later."
+};
 
 function startQuiz() {
     quizModal.style.display = 'flex';
     quizFeedback.textContent = '';
+    renderQuizProgress();
+    requestQuestion();
+}
+
+function requestQuestion() {
+    currentQuestionId = null;
     quizInput.value = '';
+    quizQuestion.textContent = '...';
+    quizChoicesDiv.innerHTML = '';
+    socket.emit('requestQuizQuestion', { subject: quizSubjectSelect.value });
+}
 
-    // Generate simple question
-    const num1 = Math.floor(Math.random() * 10);
-    const num2 = Math.floor(Math.random() * 10);
-    currentQuizAnswer = num1 + num2;
+if (quizSubjectSelect) {
+    quizSubjectSelect.addEventListener('change', () => {
+        quizFeedback.textContent = '';
+        requestQuestion();
+    });
+}
 
-    quizQuestion.textContent = `${num1} + ${num2} = ?`;
+socket.on('quizQuestion', ({ id, type, text, choices }) => {
+    currentQuestionId = id;
+    quizQuestion.textContent = text;
+    // Word problems need the room
+    quizQuestion.style.fontSize = text.length > 30 ? '16px' : '24px';
+    quizInput.value = '';
 
-    // Store question parts if we send them to server for validation
-    quizModal.setAttribute('data-q', JSON.stringify({ num1, num2 }));
+    // Multiple choice: one button per choice instead of the text box
+    const isChoice = type === 'choice';
+    quizInput.style.display = isChoice ? 'none' : '';
+    submitQuizBtn.style.display = isChoice ? 'none' : '';
+    quizInput.setAttribute('inputmode', type === 'text' ? 'text' : 'decimal');
+    quizChoicesDiv.innerHTML = '';
+    if (isChoice) {
+        choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.textContent = choice;
+            button.addEventListener('click', () => submitQuizAnswer(index));
+            quizChoicesDiv.appendChild(button);
+        });
+    } else {
+        quizInput.focus();
+    }
+});
 
-    quizInput.focus();
+function submitQuizAnswer(answer) {
+    if (!currentQuestionId) return;
+    socket.emit('submitQuizAnswer', {
+        questionId: currentQuestionId,
+        answer
+    });
 }
 
 if (submitQuizBtn) {
     submitQuizBtn.addEventListener('click', () => {
         const val = quizInput.value;
         if (val === '') return;
-
-        const qData = JSON.parse(quizModal.getAttribute('data-q'));
-
-        socket.emit('submitQuizAnswer', {
-            questionId: 'local',
-            answer: {
-                num1: qData.num1,
-                num2: qData.num2,
-                answer: val
-            }
-        });
+        submitQuizAnswer(val);
     });
 }
 
 if (closeQuizBtn) {
     closeQuizBtn.addEventListener('click', () => {
         quizModal.style.display = 'none';
+        currentQuestionId = null;
     });
 }
 
 socket.on('quizResult', (result) => {
+    if (result.progress) {
+        quizProgress = result.progress;
+        renderQuizProgress();
+    }
+    const levelNote = result.levelChange > 0 ? ' Level up!' : result.levelChange < 0 ? ' Level down.' : '';
+
     if (result.success) {
-        quizFeedback.textContent = `Correct! +${result.reward} Coins`;
+        const streakNote = result.progress.streak >= 3 ? ` 🔥 ${result.progress.streak} in a row` : '';
+        quizFeedback.textContent = `Correct! +${result.reward} Coins${streakNote}${levelNote}`;
         quizFeedback.style.color = '#00ff00';
+        currentQuestionId = null;
+        // Keep the questions coming while the modal is open
         setTimeout(() => {
-            quizModal.style.display = 'none';
+            if (quizModal.style.display === 'flex') requestQuestion();
         }, 1500);
-    } else {
-        quizFeedback.textContent = "Incorrect, try again.";
-        quizFeedback.style.color = '#ff4444';
+        return;
+    }
+
+    let message = QUIZ_MESSAGES[result.reason] || "Incorrect, try again.";
+    if (result.correctAnswer !== undefined) message = `The answer was ${result.correctAnswer}.${levelNote} ${message}`;
+    if (result.retryIn && result.reason === 'rate_limited') message += ` (${Math.ceil(result.retryIn / 1000)}s)`;
+    quizFeedback.textContent = message;
+    quizFeedback.style.color = '#ff4444';
+
+    // The answered question is used up; anything but a rate limit gets a fresh one
+    if (result.reason === 'incorrect' || result.reason === 'expired' || result.reason === 'unknown_question') {
+        requestQuestion();
+    } else if (result.reason === 'unknown_subject') {
+        quizSubjectSelect.value = 'mixed';
+        requestQuestion();
     }
 });
 
+// Class Sessions (everyone near the blackboard answers the same timed question)
+const startClassBtn = document.getElementById('start-class-btn');
+const classPanel = document.getElementById('class-panel');
+const classStatus = document.getElementById('class-status');
+const classQuestion = document.getElementById('class-question');
+const classAnswerDiv = document.getElementById('class-answer');
+const classInput = document.getElementById('class-input');
+const classSubmitBtn = document.getElementById('class-submit-btn');
+const classChoicesDiv = document.getElementById('class-choices');
+
+let classSession = null; // Latest state from the server, with a local deadline
+
+const CLASS_ERRORS = {
+    not_near_blackboard: "Stand closer to the blackboard to start a class.",
+    in_progress: "A class is already running.",
+    unknown_subject: "That subject is no longer available."
+};
+
+if (startClassBtn) {
+    startClassBtn.addEventListener('click', () => {
+        socket.emit('startClassSession', { subject: quizSubjectSelect.value });
+        quizModal.style.display = 'none';
+    });
+}
+
+function submitClassAnswer(answer) {
+    if (!classSession || !classSession.question) return;
+    socket.emit('submitClassAnswer', { questionId: classSession.question.id, answer });
+    classInput.blur();
+}
+
+if (classSubmitBtn) {
+    classSubmitBtn.addEventListener('click', () => {
+        if (classInput.value !== '') submitClassAnswer(classInput.value);
+    });
+}
+
+if (classInput) {
+    classInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && classInput.value !== '') submitClassAnswer(classInput.value);
+    });
+}
+
+socket.on('classSessionUpdate', (state) => {
+    const previousQuestionId = classSession && classSession.question && classSession.question.id;
+    // Deadlines are sent as time remaining so clock differences don't matter
+    classSession = { ...state, endsAt: Date.now() + state.remaining };
+    renderClassPanel(previousQuestionId);
+});
+
+socket.on('classSessionEnded', () => {
+    classSession = null;
+    classPanel.style.display = 'none';
+});
+
+socket.on('classSessionError', (reason) => {
+    if (CLASS_ERRORS[reason]) alert(CLASS_ERRORS[reason]);
+});
+
+function renderClassPanel(previousQuestionId) {
+    const state = classSession;
+    const me = state.scoreboard.find(p => p.username === myUsername);
+    const canAnswer = state.phase === 'question' && me && !me.answered;
+
+    classPanel.style.display = 'block';
+    classAnswerDiv.style.display = canAnswer && state.question.type !== 'choice' ? '' : 'none';
+    classChoicesDiv.style.display = canAnswer && state.question.type === 'choice' ? '' : 'none';
+
+    if (state.phase === 'countdown') {
+        classStatus.textContent = `${state.startedBy} started a class`;
+        classQuestion.textContent = 'Gather round the blackboard!';
+    } else if (state.phase === 'question') {
+        classStatus.textContent = `Question ${state.round}/${state.rounds}${me ? '' : ' (walk up to the board to join next round)'}`;
+        classQuestion.textContent = me && me.answered ? 'Answer locked in!' : state.question.text;
+
+        // New question: fresh input / choice buttons
+        if (state.question.id !== previousQuestionId) {
+            classInput.value = '';
+            classChoicesDiv.innerHTML = '';
+            (state.question.choices || []).forEach((choice, index) => {
+                const button = document.createElement('button');
+                button.textContent = choice;
+                button.addEventListener('click', () => submitClassAnswer(index));
+                classChoicesDiv.appendChild(button);
+            });
+            if (canAnswer && state.question.type !== 'choice') classInput.focus();
+        }
+    } else if (state.phase === 'reveal') {
+        const verdict = me ? (me.lastCorrect ? ' ✔' : ' ✘') : '';
+        classStatus.textContent = `Question ${state.round}/${state.rounds}`;
+        classQuestion.textContent = `Answer: ${state.correctAnswer}${verdict}`;
+    } else if (state.phase === 'results') {
+        const mine = state.results.find(r => r.username === myUsername);
+        classStatus.textContent = 'Class results';
+        classQuestion.textContent = mine
+            ? `#${state.results.indexOf(mine) + 1} with ${mine.score} points${mine.prize ? ` · +${mine.prize} coins` : ''}`
+            : `Winner: ${state.results[0] ? state.results[0].username : 'nobody'}`;
+    }
+}
+
+// Board overlay for the renderer (seconds left counted down locally)
+function getRenderClassSession() {
+    if (!classSession) return null;
+    return { ...classSession, secondsLeft: Math.max(0, Math.ceil((classSession.endsAt - Date.now()) / 1000)) };
+}
+
+// Match HUD (battle rooms)
+const matchHud = document.getElementById('match-hud');
+const matchStatus = document.getElementById('match-status');
+const matchScores = document.getElementById('match-scores');
+const matchResults = document.getElementById('match-results');
+const matchResultsTitle = document.getElementById('match-results-title');
+const matchResultsTable = document.getElementById('match-results-table');
+
+const leaveBattleBtn = document.getElementById('leave-battle-btn');
+
+let match = null; // Latest state from the server, with a local deadline
+
+if (leaveBattleBtn) {
+    leaveBattleBtn.addEventListener('click', () => socket.emit('leaveBattle'));
+}
+
+const TEAM_COLORS = { red: '#ff4444', blue: '#4488ff' };
+
+socket.on('matchUpdate', (state) => {
+    match = { ...state, endsAt: state.remaining === null ? null : Date.now() + state.remaining };
+    renderMatchHud();
+    renderMatchResults();
+});
+
+function formatClock(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function renderMatchHud() {
+    if (!match) {
+        matchHud.style.display = 'none';
+        return;
+    }
+    const left = match.endsAt === null ? '' : formatClock(match.endsAt - Date.now());
+    const me = match.players.find(p => p.id === myId);
+
+    if (match.state === 'lobby') {
+        matchStatus.textContent = `${match.modeName} · ${match.mapName} · waiting for players (${match.players.length}/${match.minPlayers})`;
+    } else if (match.state === 'countdown') {
+        matchStatus.textContent = `${match.modeName} on ${match.mapName} starts in ${left}`;
+    } else if (match.state === 'active') {
+        const spectating = me && !me.alive ? ' · eliminated' : '';
+        matchStatus.textContent = `${match.modeName} · ${left}${spectating}`;
+    } else {
+        matchStatus.textContent = `${match.modeName} · match over`;
+    }
+
+    matchScores.innerHTML = '';
+    if (Object.keys(match.teamScores).length > 0) {
+        Object.entries(match.teamScores).forEach(([team, score], i) => {
+            if (i > 0) matchScores.append(' : ');
+            const span = document.createElement('span');
+            span.style.color = TEAM_COLORS[team];
+            span.textContent = `${team.toUpperCase()} ${score}`;
+            matchScores.appendChild(span);
+        });
+        if (match.scoreLimit) {
+            const limit = document.createElement('small');
+            limit.textContent = `(to ${match.scoreLimit})`;
+            matchScores.append(' ', limit);
+        }
+    } else {
+        // Usernames are player-chosen: text only
+        match.players.slice(0, 5).forEach(p => {
+            const row = document.createElement('div');
+            if (p.id === myId) row.classList.add('me');
+            if (!p.alive) row.classList.add('dead');
+            row.textContent = `${p.username} ${p.kills}/${p.deaths}`;
+            matchScores.appendChild(row);
+        });
+    }
+    matchHud.style.display = 'block';
+}
+
+function renderMatchResults() {
+    if (!match || match.state !== 'ended' || !match.results) {
+        matchResults.style.display = 'none';
+        return;
+    }
+    const { winner, standings } = match.results;
+    if (!winner) matchResultsTitle.textContent = "It's a draw!";
+    else if (TEAM_COLORS[winner]) matchResultsTitle.textContent = `Team ${winner.toUpperCase()} wins!`;
+    else matchResultsTitle.textContent = `${winner} wins!`;
+
+    // Usernames are player-chosen: text only
+    const addRow = (cellTag, values) => {
+        const row = document.createElement('tr');
+        values.forEach(value => {
+            const cell = document.createElement(cellTag);
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        matchResultsTable.appendChild(row);
+        return row;
+    };
+    matchResultsTable.innerHTML = '';
+    addRow('th', ['#', 'Player', 'Kills', 'Deaths', 'Prize']);
+    standings.forEach((p, i) => {
+        const row = addRow('td', [i + 1, p.username, p.kills, p.deaths, p.prize ? `+${p.prize}` : '']);
+        if (p.username === myUsername) row.className = 'me';
+        if (p.team) row.style.color = TEAM_COLORS[p.team];
+    });
+    matchResults.style.display = 'block';
+}
+
+// Count the clock down between server updates
+setInterval(() => {
+    if (match) renderMatchHud();
+}, 500);
+
 // UI Helpers
 function updateStatsUI() {
     // We'll create a stats div if it doesn't exist
@@ -418,20 +1081,140 @@ function updateStatsUI() {
     }
     statsDiv.innerHTML = `
         <div>You: ${myUsername}</div>
-        <div>Coins: ${myMoney}</div>
+        <div class="coins" title="Transaction history" onclick="openTransactions()">Coins: ${myMoney}</div>
     `;
 }
 
+// Leaderboard (HTTP, so it also works for dashboards outside the game)
+const leaderboardModal = document.getElementById('leaderboard-modal');
+const leaderboardList = document.getElementById('leaderboard-list');
+const leaderboardStat = document.getElementById('leaderboard-stat');
+const leaderboardWindow = document.getElementById('leaderboard-window');
+const myStatsDiv = document.getElementById('my-stats');
+const openLeaderboardBtn = document.getElementById('open-leaderboard-btn');
+const closeLeaderboardBtn = document.getElementById('close-leaderboard-btn');
+
+// These describe what players hold right now, there is no "this week" for them
+const SNAPSHOT_STATS = ['netWorth', 'housesOwned'];
+
+async function loadLeaderboard() {
+    const stat = leaderboardStat.value;
+    leaderboardWindow.disabled = SNAPSHOT_STATS.includes(stat);
+    const period = leaderboardWindow.disabled ? 'all' : leaderboardWindow.value;
+
+    leaderboardList.innerHTML = '<li>Loading...</li>';
+    socket.emit('getStats', { window: period });
+    try {
+        const response = await fetch(`/api/leaderboard?stat=${stat}&window=${period}&limit=20`);
+        const { entries } = await response.json();
+        leaderboardList.innerHTML = entries.length ? '' : '<li>Nobody yet. Be the first!</li>';
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            if (entry.username === myUsername) li.className = 'me';
+            const value = stat === 'quizAccuracy' ? `${entry.value}% (${entry.quizAttempted})` : entry.value;
+            // Usernames are player-chosen: text only
+            [`${entry.rank}. ${entry.username}`, value].forEach(text => {
+                const span = document.createElement('span');
+                span.textContent = text;
+                li.appendChild(span);
+            });
+            leaderboardList.appendChild(li);
+        });
+    } catch (e) {
+        leaderboardList.innerHTML = '<li>Could not load the leaderboard.</li>';
+    }
+}
+
+socket.on('myStats', (stats) => {
+    const accuracy = stats.quizAttempted ? Math.round((stats.quizCorrect / stats.quizAttempted) * 100) : 0;
+    myStatsDiv.textContent = `You: ${stats.kills} kills · ${stats.deaths} deaths · quiz ${stats.quizCorrect}/${stats.quizAttempted} (${accuracy}%) · ${stats.coinsEarned} coins earned`;
+});
+
+if (openLeaderboardBtn) {
+    openLeaderboardBtn.addEventListener('click', () => {
+        leaderboardModal.style.display = 'flex';
+        // Release keys when opening menu to prevent stuck movement
+        Object.keys(keys).forEach(k => keys[k] = false);
+        loadLeaderboard();
+    });
+}
+
+if (closeLeaderboardBtn) {
+    closeLeaderboardBtn.addEventListener('click', () => {
+        leaderboardModal.style.display = 'none';
+    });
+}
+
+leaderboardStat.addEventListener('change', loadLeaderboard);
+leaderboardWindow.addEventListener('change', loadLeaderboard);
+
+// Transaction History
+const transactionsModal = document.getElementById('transactions-modal');
+const transactionsList = document.getElementById('transactions-list');
+const closeTransactionsBtn = document.getElementById('close-transactions-btn');
+
+const TRANSACTION_LABELS = {
+    item_purchase: 'Bought',
+    item_sale: 'Sold',
+    furniture_purchase: 'Bought furniture',
+    house_purchase: 'Bought house',
+    house_sale: 'Sold house',
+    quiz_reward: 'Quiz reward',
+    kill_reward: 'Defeated',
+    class_prize: 'Class prize',
+    match_reward: 'Match reward',
+    refund: 'Refund'
+};
+
+window.openTransactions = function () {
+    transactionsList.innerHTML = '<p>Loading...</p>';
+    transactionsModal.style.display = 'flex';
+    socket.emit('getTransactions');
+};
+
+socket.on('transactionHistory', (entries) => {
+    if (entries.length === 0) {
+        transactionsList.innerHTML = '<p>No transactions yet.</p>';
+        return;
+    }
+    transactionsList.innerHTML = '';
+    entries.forEach(entry => {
+        const div = document.createElement('div');
+        div.className = 'transaction';
+        const label = `${TRANSACTION_LABELS[entry.reason] || entry.reason}${entry.ref ? ` ${entry.ref}` : ''}`;
+        // The ref can be a username (kill rewards), so everything goes in as text
+        const cells = [
+            [new Date(entry.createdAt).toLocaleString(), ''],
+            [label, ''],
+            [`${entry.amount >= 0 ? '+' : ''}${entry.amount}`, entry.amount >= 0 ? 'credit' : 'debit'],
+            [entry.balance, '']
+        ];
+        cells.forEach(([text, className]) => {
+            const span = document.createElement('span');
+            span.textContent = text;
+            if (className) span.className = className;
+            div.appendChild(span);
+        });
+        transactionsList.appendChild(div);
+    });
+});
+
+if (closeTransactionsBtn) {
+    closeTransactionsBtn.addEventListener('click', () => {
+        transactionsModal.style.display = 'none';
+    });
+}
+
 // Interaction Logic (Game Loop Update)
 function checkInteractions() {
     // Hide prompt by default each frame
     promptDiv.style.display = 'none';
 
+    const me = players[myId];
+    if (!me) return;
+
     // 1. Housing Interactions
     if (currentDistrict === 'housing') {
-        const me = players[myId];
-        if (!me) return;
-
         Object.values(houses).forEach(house => {
             const dx = me.x - house.x;
             const dy = me.y - house.y;
@@ -445,101 +1228,312 @@ function checkInteractions() {
                     keys.e = false; // Consume key press
                     handleHouseInteraction(house);
                 }
+                if (keys.o && house.owner) {
+                    keys.o = false;
+                    openHouseMarket(house.id);
+                }
             }
         });
     }
 
-    // 2. School Interactions
-    if (currentDistrict === 'school') {
-        const me = players[myId];
-        if (!me) return;
+    // 2. District Interactables (shop, blackboard, battle gate, portal...) from the world data
+    const interactable = findInteractable(currentDistrict, me.x, me.y);
+    if (interactable) {
+        const center = centerOf(interactable);
+        const offset = renderer.getOffset();
+        promptDiv.style.display = 'block';
+        promptDiv.style.left = (center.x + offset.x) + 'px';
+        promptDiv.style.top = (center.y - (interactable.promptOffset || 50) + offset.y) + 'px';
+        promptDiv.textContent = interactable.prompt;
+
+        if (keys.e) {
+            keys.e = false;
+            const action = INTERACTION_ACTIONS[interactable.action];
+            if (action) action(interactable);
+        }
+    }
+}
 
-        // Blackboard Position (Hardcoded in Renderer as 350, 100 100x60)
-        // Center approx 400, 130
-        const bx = 400;
-        const by = 130;
-        const dist = Math.sqrt((me.x - bx) ** 2 + (me.y - by) ** 2);
+function openBrawlPortal() {
+    // Redirect directly to the nested Brawl Stars game on port 5174
+    const targetUrl = `${window.location.protocol}//${window.location.hostname}:5174${window.location.pathname}#battle`;
+    console.log("Entering Brawl Stars Arena:", targetUrl);
+    window.location.href = targetUrl;
+}
 
-        if (dist < 60) {
-            promptDiv.style.display = 'block';
-            promptDiv.style.left = bx + 'px';
-            promptDiv.style.top = (by - 50) + 'px';
-            promptDiv.textContent = "[E] Start Math Quiz";
+function leaveHouse() {
+    socket.emit('leaveHouse');
+}
 
-            if (keys.e) {
-                keys.e = false;
-                startQuiz();
-            }
-        }
+// Interactable "action" names (world.json, house doors) -> client handlers
+const INTERACTION_ACTIONS = {
+    openShop,
+    startQuiz,
+    openBattleSetup,
+    openBrawlPortal,
+    leaveHouse
+};
+
+// The house whose interior we're in (null anywhere else)
+function currentHouse() {
+    const houseId = getDistrict(currentDistrict).houseId;
+    return houseId ? houses[houseId] || null : null;
+}
+
+// Who's inside with us
+const housePanel = document.getElementById('house-panel');
+const houseTitle = document.getElementById('house-title');
+const houseOccupants = document.getElementById('house-occupants');
+const houseSettingsBtn = document.getElementById('house-settings-btn');
+
+function renderHousePanel() {
+    const house = currentHouse();
+    if (!house) {
+        housePanel.style.display = 'none';
+        houseSettingsModal.style.display = 'none';
+        return;
     }
+    const names = Object.values(players).map(p => p.username === house.owner ? `${p.username} (owner)` : p.username);
+    houseTitle.textContent = getDistrict(currentDistrict).name;
+    houseOccupants.textContent = `Inside: ${names.join(', ')}`;
+    houseSettingsBtn.style.display = house.owner === myUsername ? 'inline-block' : 'none';
+    housePanel.style.display = 'block';
+    renderHouseVisitors();
+}
 
-    // 3. Arena Interactions
-    if (currentDistrict === 'arena') {
-        const me = players[myId];
-        if (!me) return;
+// House settings (owner): who may come in, guests, friends, bans
+const houseSettingsModal = document.getElementById('house-settings-modal');
+const houseAccessSelect = document.getElementById('house-access-select');
+const houseVisitors = document.getElementById('house-visitors');
+const houseGuests = document.getElementById('house-guests');
+const houseFriends = document.getElementById('house-friends');
+const houseBanned = document.getElementById('house-banned');
+const houseGuestInput = document.getElementById('house-guest-input');
+const friendInput = document.getElementById('friend-input');
+
+const HOUSE_ACCESS_DENIED = {
+    banned: "You're banned from this house.",
+    locked: "This house is locked.",
+    friends_only: "Only the owner's friends and guests can come in.",
+    guests_only: "You're not on the guest list.",
+    kicked: "The owner asked you to leave.",
+    sold: "This house has changed hands."
+};
 
-        // Weapon Shop (100, 100) 120x80 -> Center ~160, 140
-        const sx = 160, sy = 140;
-        const dShop = Math.sqrt((me.x - sx) ** 2 + (me.y - sy) ** 2);
+const HOUSE_ACCESS_ERRORS = {
+    invalid_user: "Pick someone else.",
+    unknown_user: "There's nobody with that name."
+};
 
-        if (dShop < 70) {
-            promptDiv.style.display = 'block';
-            promptDiv.style.left = sx + 'px';
-            promptDiv.style.top = (sy - 50) + 'px';
-            promptDiv.textContent = "[E] Open Weapon Shop";
+socket.on('houseAccessDenied', (reason) => {
+    showCombatFeedback(HOUSE_ACCESS_DENIED[reason] || "You can't go in there.");
+});
 
-            if (keys.e) {
-                keys.e = false;
-                openShop();
-            }
-        }
+socket.on('houseAccessError', (reason) => {
+    alert(HOUSE_ACCESS_ERRORS[reason] || 'Something went wrong.');
+});
 
-        // Battle Gate (600, 100) 100x120 -> Center ~650, 160
-        const gx = 650, gy = 160;
-        const dGate = Math.sqrt((me.x - gx) ** 2 + (me.y - gy) ** 2);
+socket.on('friendsUpdate', (friends) => {
+    myFriends = friends || [];
+    renderHouseSettings();
+});
 
-        if (dGate < 80) {
-            promptDiv.style.display = 'block';
-            promptDiv.style.left = gx + 'px';
-            promptDiv.style.top = (gy - 50) + 'px';
-            promptDiv.textContent = "[E] Enter Battle";
+// A name with buttons; names are typed by players, so they only ever go in as text
+function houseListRow(name, buttons) {
+    const row = document.createElement('div');
+    row.className = 'shop-item';
+    const label = document.createElement('span');
+    label.textContent = name;
+    row.appendChild(label);
+    const actions = document.createElement('div');
+    buttons.forEach(([text, onClick]) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.onclick = onClick;
+        actions.appendChild(button);
+    });
+    row.appendChild(actions);
+    return row;
+}
 
-            if (keys.e) {
-                keys.e = false;
-                openBattleSetup();
-            }
-        }
-    }
+function renderHouseList(container, entries, buttonsFor, labelFor = entry => entry) {
+    container.innerHTML = '';
+    if (entries.length === 0) container.innerHTML = '<small>Nobody</small>';
+    entries.forEach(entry => container.appendChild(houseListRow(labelFor(entry), buttonsFor(entry))));
+}
 
-    // 4. Brawl Stars District Interactions
-    if (currentDistrict === 'brawl_stars') {
-        const me = players[myId];
-        if (!me) return;
+function renderHouseVisitors() {
+    const house = currentHouse();
+    if (!house || houseSettingsModal.style.display === 'none') return;
+    const visitors = Object.values(players).map(p => p.username).filter(name => name !== myUsername);
+    // Called twice a second: only rebuild (and lose the button under the mouse) on changes
+    const key = `${house.id}:${visitors.join(',')}`;
+    if (houseVisitors.dataset.key === key) return;
+    houseVisitors.dataset.key = key;
+    renderHouseList(houseVisitors, visitors, name => [
+        ['Kick', () => socket.emit('kickHouseGuest', { houseId: house.id, username: name })],
+        ['Ban', () => socket.emit('kickHouseGuest', { houseId: house.id, username: name, ban: true })]
+    ]);
+}
 
-        const cx = 400, cy = 300;
-        const dist = Math.sqrt((me.x - cx) ** 2 + (me.y - cy) ** 2);
+function renderHouseSettings() {
+    const house = currentHouse();
+    if (!house || houseSettingsModal.style.display === 'none') return;
+    const access = house.access || {};
+    houseAccessSelect.value = access.mode || 'public';
+
+    renderHouseVisitors();
+    renderHouseList(houseGuests, access.guests || [], name => [
+        ['Remove', () => socket.emit('setHouseGuest', { houseId: house.id, username: name, allowed: false })]
+    ]);
+    renderHouseList(houseFriends, myFriends, name => [
+        ['Remove', () => socket.emit('removeFriend', name)]
+    ]);
+    renderHouseList(houseBanned, access.banned || [], name => [
+        ['Unban', () => socket.emit('unbanHouseGuest', { houseId: house.id, username: name })]
+    ]);
+}
 
-        if (dist < 100) {
-            promptDiv.style.display = 'block';
-            promptDiv.style.left = cx + 'px';
-            promptDiv.style.top = (cy - 120) + 'px';
-            promptDiv.textContent = "[E] ENTER NEON WAR ARENA";
+houseSettingsBtn.addEventListener('click', () => {
+    houseSettingsModal.style.display = 'flex';
+    renderHouseSettings();
+});
 
-            if (keys.e) {
-                keys.e = false;
-                // Redirect directly to the nested Brawl Stars game on port 5174
-                const targetUrl = `${window.location.protocol}//${window.location.hostname}:5174${window.location.pathname}#battle`;
-                console.log("Entering Brawl Stars Arena:", targetUrl);
-                window.location.href = targetUrl;
-            }
-        }
+document.getElementById('close-house-settings-btn').addEventListener('click', () => {
+    houseSettingsModal.style.display = 'none';
+});
+
+houseAccessSelect.addEventListener('change', () => {
+    const house = currentHouse();
+    if (house) socket.emit('setHouseAccess', { houseId: house.id, mode: houseAccessSelect.value });
+});
+
+document.getElementById('house-guest-add-btn').addEventListener('click', () => {
+    const house = currentHouse();
+    const username = houseGuestInput.value.trim();
+    if (!house || !username) return;
+    socket.emit('setHouseGuest', { houseId: house.id, username, allowed: true });
+    houseGuestInput.value = '';
+});
+
+document.getElementById('friend-add-btn').addEventListener('click', () => {
+    const username = friendInput.value.trim();
+    if (!username) return;
+    socket.emit('addFriend', username);
+    friendInput.value = '';
+});
+
+// Real-estate market for one house (opened with [O] in front of it): the owner lists it,
+// takes offers or sells to the city; everyone else buys at the listed price or bids
+const houseMarketModal = document.getElementById('house-market-modal');
+const houseMarketTitle = document.getElementById('house-market-title');
+const houseMarketStatus = document.getElementById('house-market-status');
+const houseMarketOwner = document.getElementById('house-market-owner');
+const houseMarketBuyer = document.getElementById('house-market-buyer');
+const houseListPrice = document.getElementById('house-list-price');
+const houseOffers = document.getElementById('house-offers');
+const houseSellCityBtn = document.getElementById('house-sell-city-btn');
+const houseBuyListedBtn = document.getElementById('house-buy-listed-btn');
+const houseMyOffer = document.getElementById('house-my-offer');
+const houseOfferAmount = document.getElementById('house-offer-amount');
+let marketHouseId = null;
+
+const HOUSE_MARKET_ERRORS = {
+    not_owner: "That's not your house any more.",
+    invalid_price: "Enter a price in whole coins.",
+    not_listed: "That house isn't for sale.",
+    price_changed: "The asking price changed. Check it and try again.",
+    own_house: "That's your own house.",
+    not_enough_money: "Not enough money!",
+    not_available: "Someone else got there first.",
+    too_many_offers: "This house has too many offers already.",
+    no_offer: "That offer was withdrawn.",
+    bidder_cannot_pay: "The bidder can't pay any more; their offer was dropped."
+};
+
+socket.on('houseMarketError', (reason) => {
+    alert(HOUSE_MARKET_ERRORS[reason] || 'Something went wrong.');
+});
+
+function openHouseMarket(houseId) {
+    marketHouseId = houseId;
+    houseMarketModal.style.display = 'flex';
+    renderHouseMarket();
+}
+
+function renderHouseMarket() {
+    const house = houses[marketHouseId];
+    if (!house || houseMarketModal.style.display === 'none') return;
+    if (!house.owner) {
+        houseMarketModal.style.display = 'none'; // Sold back to the city
+        return;
     }
 
+    const mine = house.owner === myUsername;
+    const offers = house.offers || [];
+    houseMarketTitle.textContent = mine ? `Your House (${house.id}) 🏘️` : `${house.owner}'s House (${house.id}) 🏘️`;
+    houseMarketStatus.textContent = house.listPrice ? `Listed: ${house.listPrice} coins` : 'Not listed for sale';
+    houseMarketOwner.style.display = mine ? 'block' : 'none';
+    houseMarketBuyer.style.display = mine ? 'none' : 'block';
+
+    if (mine) {
+        renderHouseList(houseOffers, offers, offer => [
+            ['Accept', () => {
+                if (confirm(`Sell ${house.id} to ${offer.from} for ${offer.amount} coins?`)) {
+                    socket.emit('acceptHouseOffer', { houseId: house.id, offerId: offer.id });
+                }
+            }],
+            ['Decline', () => socket.emit('declineHouseOffer', { houseId: house.id, offerId: offer.id })]
+        ], offer => `${offer.from}: ${offer.amount} coins`);
+        houseSellCityBtn.textContent = `Sell to the City (${cityBuybackPrice(house)} coins)`;
+        return;
+    }
+
+    houseBuyListedBtn.style.display = house.listPrice ? 'inline-block' : 'none';
+    houseBuyListedBtn.textContent = `Buy for ${house.listPrice} coins`;
+    const myOffer = offers.find(offer => offer.from === myUsername);
+    renderHouseList(houseMyOffer, myOffer ? [myOffer] : [], () => [
+        ['Withdraw', () => socket.emit('withdrawHouseOffer', { houseId: house.id })]
+    ], offer => `${offer.amount} coins`);
 }
 
+document.getElementById('house-list-btn').addEventListener('click', () => {
+    socket.emit('listHouse', { houseId: marketHouseId, price: parseInt(houseListPrice.value) });
+});
+
+document.getElementById('house-unlist-btn').addEventListener('click', () => {
+    socket.emit('unlistHouse', { houseId: marketHouseId });
+});
+
+houseSellCityBtn.addEventListener('click', () => {
+    if (confirm(`${houseSellCityBtn.textContent}? Your furniture goes back into your inventory.`)) {
+        socket.emit('sellHouseToCity', { houseId: marketHouseId });
+    }
+});
+
+houseBuyListedBtn.addEventListener('click', () => {
+    const house = houses[marketHouseId];
+    if (!house) return;
+    const price = house.listPrice;
+    if (confirm(`Buy ${house.id} from ${house.owner} for ${price} coins?`)) {
+        socket.emit('buyListedHouse', { houseId: house.id, price });
+    }
+});
+
+document.getElementById('house-offer-btn').addEventListener('click', () => {
+    socket.emit('makeHouseOffer', { houseId: marketHouseId, amount: parseInt(houseOfferAmount.value) });
+    houseOfferAmount.value = '';
+});
+
+document.getElementById('close-house-market-btn').addEventListener('click', () => {
+    houseMarketModal.style.display = 'none';
+});
+
+setInterval(renderHousePanel, 500);
+
 // Battle Zone Attack Logic
 function handleAttack() {
-    if (currentDistrict !== 'arena_battle') return;
+    if (!isBattleRoom(currentDistrict)) return;
 
     const me = players[myId];
     if (!me || !me.equipment) return;
@@ -547,31 +1541,108 @@ function handleAttack() {
     if (keys.space) {
         keys.space = false; // Consume
 
-        // Get weapon range from SHOP_ITEMS
+        // Cooldown from SHOP_ITEMS (the server enforces it, along with range and walls)
         const weapon = SHOP_ITEMS.find(i => i.id === me.equipment);
-        const range = weapon ? weapon.range : 50;
+        const cooldown = weapon ? weapon.cooldown || 0 : 0;
 
-        // Simple attack - check nearby players
-        Object.values(players).forEach(target => {
-            if (target.playerId === myId) return;
-
-            const dx = target.x - me.x;
-            const dy = target.y - me.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist < range) {
-                socket.emit('playerAttack', { targetId: target.playerId });
-            }
+        const now = Date.now();
+        if (now - lastAttackTime < cooldown) return;
+        lastAttackTime = now;
 
-        });
+        // Swing / shoot / heal in the direction we last walked
+        socket.emit('playerAttack', { angle: facingAngle });
     }
 }
 
+let lastAttackTime = 0;
+let facingAngle = Math.PI / 2; // Facing down until we move
+
+// Projectiles are simulated server-side; we just fly them along their velocity until removed
+let projectiles = {}; // id -> { x, y, vx, vy, range, color, spawnedAt }
+let attackEffects = []; // Short-lived swing / heal visuals
+const ATTACK_EFFECT_MS = 250;
+
+socket.on('projectileSpawned', (projectile) => {
+    projectiles[projectile.id] = { ...projectile, spawnedAt: performance.now() };
+});
+
+socket.on('projectileRemoved', (id) => {
+    delete projectiles[id];
+});
+
+socket.on('attackEffect', (effect) => {
+    attackEffects.push({ ...effect, startedAt: performance.now() });
+});
+
+function getRenderProjectiles(now) {
+    const list = [];
+    Object.entries(projectiles).forEach(([id, p]) => {
+        const elapsed = (now - p.spawnedAt) / 1000;
+        const speed = Math.hypot(p.vx, p.vy);
+        // Removal message lost or late: stop drawing once it must have run out of range
+        if (speed * elapsed > p.range) {
+            delete projectiles[id];
+            return;
+        }
+        list.push({ x: p.x + p.vx * elapsed, y: p.y + p.vy * elapsed, color: p.color });
+    });
+    return list;
+}
+
+function getRenderEffects(now) {
+    attackEffects = attackEffects.filter(e => now - e.startedAt < ATTACK_EFFECT_MS);
+    return attackEffects.map(e => ({ ...e, progress: (now - e.startedAt) / ATTACK_EFFECT_MS }));
+}
+
+const ATTACK_REJECT_MESSAGES = {
+    cooldown: 'Weapon cooling down',
+    invalid_aim: 'Invalid aim',
+    match_not_active: 'Wait for the match to start'
+};
+
+socket.on('attackRejected', ({ reason }) => {
+    showCombatFeedback(ATTACK_REJECT_MESSAGES[reason] || 'Attack blocked');
+});
+
+// Short-lived combat message above the chat
+const combatFeedback = document.createElement('div');
+combatFeedback.id = 'combat-feedback';
+document.getElementById('ui-layer').appendChild(combatFeedback);
+let combatFeedbackTimer = null;
+
+function showCombatFeedback(text) {
+    combatFeedback.textContent = text;
+    combatFeedback.style.display = 'block';
+    if (combatFeedbackTimer) clearTimeout(combatFeedbackTimer);
+    combatFeedbackTimer = setTimeout(() => {
+        combatFeedback.style.display = 'none';
+    }, 1200);
+}
+
 
 // Update local district tracking
 socket.on('setDistrict', (districtName) => {
     currentDistrict = districtName;
     console.log("Joined district:", districtName);
 
+    // Restart prediction from where the server placed us (sent with playerChangedDistrict).
+    // If we asked for the move, pendingInputs only holds inputs made after it; if the
+    // server moved us, whatever is pending was applied in the old district.
+    if (!pendingDistrict) pendingInputs = [];
+    pendingDistrict = null;
+    reconcileLocalPlayer();
+
+    // A class in the new district (if any) is sent right after this
+    classSession = null;
+    classPanel.style.display = 'none';
+
+    // Same for the match in a battle room
+    match = null;
+    matchHud.style.display = 'none';
+    matchResults.style.display = 'none';
+    if (isBattleRoom(districtName)) battleModal.style.display = 'none'; // Matchmaking found us a game
+    hideDeathScreen();
+
     // Play Music
     playDistrictMusic(districtName);
 
@@ -584,17 +1655,31 @@ socket.on('setDistrict', (districtName) => {
 
 // Editor State
 let isEditing = false;
-let selectedItemType = 0;
-const editorItems = [
-    { type: 'crate', color: '#8B4513' },
-    { type: 'table', color: '#DEB887' },
-    { type: 'plant', color: '#228B22' }
-];
+let editorTool = 'place'; // 'place' a new piece, or 'select' one to drag, turn or delete
+let selectedFurnitureType = null; // Catalog id of what 'place' puts down
+let selectedFurnitureId = null;
+let draggedFurniture = null; // { id, x, y, offsetX, offsetY } while the mouse is down on a piece
+
+const FURNITURE_ERRORS = {
+    not_allowed: "You can only change furniture inside your own house.",
+    not_owned: "You don't have any of those left. Buy more from the catalog.",
+    too_many: "Your house is full. Remove something first.",
+    unknown_type: "That piece of furniture doesn't exist.",
+    out_of_bounds: "That won't fit there.",
+    blocked: "That won't fit there.",
+    blocks_door: "Keep the way to the door clear.",
+    overlap: "Something is already there."
+};
+
+socket.on('furnitureError', (reason) => {
+    showCombatFeedback(FURNITURE_ERRORS[reason] || "Can't put that there.");
+});
 
 // Input Handlers
 window.addEventListener('keydown', (e) => {
     // If typing in chat, ignore game controls
-    if (document.activeElement === chatInput) return;
+    if (document.activeElement === chatInput || document.activeElement === classInput) return;
+    if (houseSettingsModal.contains(document.activeElement) || houseMarketModal.contains(document.activeElement)) return;
 
     const key = e.key.toLowerCase();
 
@@ -606,11 +1691,22 @@ window.addEventListener('keydown', (e) => {
 
     // Actions
     if (key === 'e') keys.e = true;
+    if (key === 'o') keys.o = true;
     if (e.key === ' ') keys.space = true;
 
     // Toggle Editor 'b'
     if (key === 'b') toggleEditor();
 
+    // Turn / delete the selected piece
+    if (isEditing && key === 'r') rotateSelectedFurniture();
+    if (isEditing && (e.key === 'Delete' || e.key === 'Backspace')) removeSelectedFurniture();
+
+    // Toggle Inventory 'i'
+    if (key === 'i') {
+        if (inventoryModal.style.display === 'flex') inventoryModal.style.display = 'none';
+        else openInventory();
+    }
+
     // Opening/Closing Map (M)
     if (key === 'm') {
         const mapModal = document.getElementById('map-modal');
@@ -635,53 +1731,175 @@ document.getElementById('ui-layer').appendChild(editorToolbar);
 
 function updateEditorUI() {
     editorToolbar.innerHTML = '';
-    editorItems.forEach((item, idx) => {
+    const catalog = getFurnitureCatalog();
+    if (!getFurnitureType(selectedFurnitureType) && catalog.length > 0) selectedFurnitureType = catalog[0].id;
+
+    // What we own of each piece, ready to place
+    catalog.forEach(type => {
+        const count = myFurniture[type.id] || 0;
         const div = document.createElement('div');
-        div.className = `editor-item ${idx === selectedItemType ? 'selected' : ''}`;
-        div.style.backgroundColor = item.color;
+        div.className = `editor-item ${count === 0 ? 'empty' : ''} ${editorTool === 'place' && type.id === selectedFurnitureType ? 'selected' : ''}`;
+        div.style.backgroundColor = type.color;
+        if (type.sprite) {
+            div.style.backgroundImage = `url(/sprites/furniture/${type.sprite})`;
+            div.style.backgroundSize = 'contain';
+            div.style.backgroundRepeat = 'no-repeat';
+            div.style.backgroundPosition = 'center';
+        }
+        div.title = `${type.name} (${count} owned)`;
+        div.innerHTML = `<span class="editor-count">${count}</span>`;
         div.onclick = () => {
-            selectedItemType = idx;
+            selectedFurnitureType = type.id;
+            editorTool = 'place';
+            selectedFurnitureId = null;
             updateEditorUI();
         };
         editorToolbar.appendChild(div);
     });
+
+    const addTool = (label, title, active, onClick) => {
+        const div = document.createElement('div');
+        div.className = `editor-item editor-tool ${active ? 'selected' : ''}`;
+        div.textContent = label;
+        div.title = title;
+        div.onclick = onClick;
+        editorToolbar.appendChild(div);
+    };
+    addTool('Select', 'Pick up and drag furniture', editorTool === 'select', () => {
+        editorTool = 'select';
+        updateEditorUI();
+    });
+    addTool('Rotate', 'Turn the selected piece [R]', false, rotateSelectedFurniture);
+    addTool('Delete', 'Pick up the selected piece [Del]', false, removeSelectedFurniture);
+    addTool('Catalog', 'Buy furniture', false, openFurnitureCatalog);
 }
 
-// Mouse Click for Placement
-renderer.canvas.addEventListener('mousedown', (e) => {
-    if (!isEditing) return;
+// Furniture Catalog UI
+const furnitureModal = document.getElementById('furniture-modal');
+const furnitureItemsContainer = document.getElementById('furniture-items');
+const closeFurnitureBtn = document.getElementById('close-furniture-btn');
+
+function openFurnitureCatalog() {
+    furnitureModal.style.display = 'flex';
+    renderFurnitureCatalog();
+}
+
+function renderFurnitureCatalog() {
+    if (furnitureModal.style.display === 'none') return;
+    furnitureItemsContainer.innerHTML = '';
 
+    getFurnitureCatalog().forEach(type => {
+        const div = document.createElement('div');
+        div.className = 'shop-item';
+        div.innerHTML = `
+            <div style="display: flex; align-items: center;">
+                ${type.sprite
+                    ? `<img class="furniture-swatch" src="/sprites/furniture/${type.sprite}">`
+                    : `<div class="furniture-swatch" style="background: ${type.color}"></div>`}
+                <div>
+                    <strong>${type.name}</strong><br>
+                    <small>${type.width}x${type.height} · ${myFurniture[type.id] || 0} owned</small>
+                </div>
+            </div>
+            <div>
+                <span>${type.price} Coins</span>
+                <button onclick="buyFurniture('${type.id}')">Buy</button>
+            </div>
+        `;
+        furnitureItemsContainer.appendChild(div);
+    });
+}
+
+window.buyFurniture = function (typeId) {
+    socket.emit('buyFurniture', typeId);
+};
+
+if (closeFurnitureBtn) {
+    closeFurnitureBtn.addEventListener('click', () => {
+        furnitureModal.style.display = 'none';
+    });
+}
+
+socket.on('furnitureBought', (res) => {
+    if (res.success) {
+        addChatMessage({ id: 'SYSTEM', text: `Bought a ${res.item.name}`, color: '#ffff00' });
+    } else {
+        alert("Failed: " + res.message);
+    }
+});
+
+socket.on('furnitureInventoryUpdate', (inventory) => {
+    myFurniture = inventory || {};
+    renderFurnitureCatalog();
+    if (isEditing) updateEditorUI();
+});
+
+// Our own house, if that's where we are (the only place the editor does anything)
+function editableHouse() {
+    const house = currentHouse();
+    return house && house.owner === myUsername ? house : null;
+}
+
+function rotateSelectedFurniture() {
+    const house = editableHouse();
+    if (house && selectedFurnitureId) socket.emit('rotateFurniture', { houseId: house.id, furnitureId: selectedFurnitureId });
+}
+
+function removeSelectedFurniture() {
+    const house = editableHouse();
+    if (!house || !selectedFurnitureId) return;
+    socket.emit('removeFurniture', { houseId: house.id, furnitureId: selectedFurnitureId });
+    selectedFurnitureId = null;
+}
+
+function mouseWorldPosition(e) {
     const rect = renderer.canvas.getBoundingClientRect();
     const offset = renderer.getOffset();
 
     // Adjust mouse coordinates by removing the centering offset
-    const x = e.clientX - rect.left - offset.x;
-    const y = e.clientY - rect.top - offset.y;
-
-    // Find house containing our Player (Simplification: Check mouse pos vs House pos)
-    let targetHouseId = null;
-    Object.values(houses).forEach(h => {
-        if (x >= h.x - 40 && x <= h.x + 40 &&
-            y >= h.y - 40 && y <= h.y + 40) {
-            targetHouseId = h.id;
-        }
-    });
+    return { x: e.clientX - rect.left - offset.x, y: e.clientY - rect.top - offset.y };
+}
 
-    if (targetHouseId) {
-        // Validation: Must be OUR house
-        if (houses[targetHouseId].owner === myUsername) {
-            const itemDef = editorItems[selectedItemType];
-            socket.emit('placeFurniture', {
-                houseId: targetHouseId,
-                item: {
-                    type: itemDef.type,
-                    color: itemDef.color,
-                    x: x,
-                    y: y
-                }
-            });
+// Mouse: place a piece, or pick one up to drag it
+renderer.canvas.addEventListener('mousedown', (e) => {
+    if (!isEditing) return;
+    const house = editableHouse();
+    if (!house) return;
+    const { x, y } = mouseWorldPosition(e);
+
+    if (editorTool === 'place') {
+        if (!(myFurniture[selectedFurnitureType] > 0)) {
+            showCombatFeedback(FURNITURE_ERRORS.not_owned);
+            return;
         }
+        socket.emit('placeFurniture', {
+            houseId: house.id,
+            item: { type: selectedFurnitureType, x, y, rotation: 0 }
+        });
+        return;
+    }
+
+    const piece = furnitureAt(house.furniture, x, y);
+    selectedFurnitureId = piece ? piece.id : null;
+    if (piece) draggedFurniture = { id: piece.id, x: piece.x, y: piece.y, offsetX: piece.x - x, offsetY: piece.y - y };
+});
+
+renderer.canvas.addEventListener('mousemove', (e) => {
+    if (!draggedFurniture) return;
+    const { x, y } = mouseWorldPosition(e);
+    draggedFurniture.x = Math.round(x + draggedFurniture.offsetX);
+    draggedFurniture.y = Math.round(y + draggedFurniture.offsetY);
+});
+
+// Dropped: the server decides whether it can stay there (it snaps back otherwise)
+window.addEventListener('mouseup', () => {
+    if (!draggedFurniture) return;
+    const house = editableHouse();
+    const piece = house && house.furniture.find(item => item.id === draggedFurniture.id);
+    if (piece && (piece.x !== draggedFurniture.x || piece.y !== draggedFurniture.y)) {
+        socket.emit('moveFurniture', { houseId: house.id, furnitureId: piece.id, x: draggedFurniture.x, y: draggedFurniture.y });
     }
+    draggedFurniture = null;
 });
 
 // Key release listeners
@@ -694,6 +1912,7 @@ window.addEventListener('keyup', (e) => {
     if (key === 'd' || e.key === 'ArrowRight') keys.d = keys.ArrowRight = false;
 
     if (key === 'e') keys.e = false;
+    if (key === 'o') keys.o = false;
     if (e.key === ' ') keys.space = false;
 });
 
@@ -740,33 +1959,58 @@ function showInteractionPrompt(house) {
     if (!house.owner) {
         promptDiv.textContent = `[E] Buy ${house.id} (${house.price} coins)`;
     } else {
-        promptDiv.textContent = `[E] Enter ${house.owner}'s House`;
+        const listed = house.listPrice ? ` · Listed: ${house.listPrice} coins` : '';
+        promptDiv.textContent = `${houseEntryPrompt(house)} · [O] Market${listed}`;
     }
 }
 
-// Collision Detection Helper
-function checkCollision(x, y, radius = 15) {
-    // Check battle zone obstacles
-    if (currentDistrict === 'arena_battle') {
-        for (const obstacle of BATTLE_OBSTACLES) {
-            // Check if circle (player) intersects with rectangle (obstacle)
-            const closestX = Math.max(obstacle.x, Math.min(x, obstacle.x + obstacle.width));
-            const closestY = Math.max(obstacle.y, Math.min(y, obstacle.y + obstacle.height));
-
-            const distanceX = x - closestX;
-            const distanceY = y - closestY;
-            const distanceSquared = (distanceX * distanceX) + (distanceY * distanceY);
-
-            if (distanceSquared < (radius * radius)) {
-                return true; // Collision detected
-            }
-        }
-    }
-    return false; // No collision
+// What the owner's access settings mean for us (the server has the final say; it knows
+// who the owner's friends are)
+function houseEntryPrompt(house) {
+    if (house.owner === myUsername) return '[E] Enter your House';
+    const access = house.access || {};
+    const mode = access.mode || 'public';
+    const invited = (access.guests || []).includes(myUsername);
+    if ((access.banned || []).includes(myUsername)) return `${house.owner}'s House (you're banned)`;
+    if (mode === 'locked') return `${house.owner}'s House (locked)`;
+    if (mode === 'guests' && !invited) return `${house.owner}'s House (guests only)`;
+    if (mode === 'friends' && !invited) return `[E] Enter ${house.owner}'s House (friends only)`;
+    return `[E] Enter ${house.owner}'s House`;
 }
 
 // Game Loop
-const SPEED = 5;
+// Movement runs on a fixed tick so speed doesn't depend on the display refresh rate
+let lastFrameTime = performance.now();
+let tickAccumulator = 0;
+
+// One movement tick for the local player: record the input and predict its result.
+// Returns true if the player moved.
+function predictLocalTick(player) {
+    // Dead in battle: no moving until the respawn
+    if (isBattleRoom(currentDistrict) && player.hp <= 0) return false;
+
+    let dx = 0;
+    let dy = 0;
+    if (keys.w || keys.ArrowUp) dy -= 1;
+    if (keys.s || keys.ArrowDown) dy += 1;
+    if (keys.a || keys.ArrowLeft) dx -= 1;
+    if (keys.d || keys.ArrowRight) dx += 1;
+
+    // Standing still: one idle input tells the server we stopped, then nothing
+    const idle = dx === 0 && dy === 0;
+    if (!idle) facingAngle = Math.atan2(dy, dx);
+    if (idle && lastInputIdle) return false;
+    lastInputIdle = idle;
+
+    const input = { seq: ++inputSeq, dx, dy };
+    pendingInputs.push(input);
+    unsentInputs.push(input);
+
+    const result = stepMovement(currentDistrict, player, input);
+    player.x = result.x;
+    player.y = result.y;
+    return result.moved;
+}
 
 function update() {
     if (!myId || !players[myId]) return;
@@ -781,77 +2025,39 @@ function update() {
     let moved = false;
     const player = players[myId];
 
+    const frameTime = performance.now();
+    tickAccumulator = Math.min(tickAccumulator + frameTime - lastFrameTime, TICK_MS * 5);
+    lastFrameTime = frameTime;
+
     // Prevent movement if quiz is open
     if (quizModal && quizModal.style.display === 'flex') return;
 
-    // Calculate new position
-    let newX = player.x;
-    let newY = player.y;
-
-    if (keys.w || keys.ArrowUp) newY -= SPEED;
-    if (keys.s || keys.ArrowDown) newY += SPEED;
-    if (keys.a || keys.ArrowLeft) newX -= SPEED;
-    if (keys.d || keys.ArrowRight) newX += SPEED;
-
-    // Check if new position would collide with obstacles
-    const wouldCollide = checkCollision(newX, newY);
-
-    if (!wouldCollide) {
-        // Only update position if no collision
-        if (newX !== player.x || newY !== player.y) {
-            player.x = newX;
-            player.y = newY;
-            moved = true;
-        }
-    } else {
-        // Try moving only on one axis if diagonal movement is blocked (sliding)
-        if (!checkCollision(newX, player.y)) {
-            player.x = newX;
-            moved = true;
-        } else if (!checkCollision(player.x, newY)) {
-            player.y = newY;
-            moved = true;
-        }
+    while (tickAccumulator >= TICK_MS) {
+        tickAccumulator -= TICK_MS;
+        if (predictLocalTick(player)) moved = true;
     }
 
-    const newState = moved ? 'walking' : 'idle';
-    player.state = newState;
+    player.state = moved ? 'walking' : 'idle';
+    flushInputs();
 
-    if (moved || newState !== lastState) {
-        // Throttle updates to ~30ms to avoid flooding socket
-        const now = Date.now();
-        if (!player.lastMoveTime || now - player.lastMoveTime > 30 || newState !== lastState) {
-            socket.emit('playerMovement', {
-                x: player.x,
-                y: player.y,
-                state: newState
-            });
-            player.lastMoveTime = now;
-            lastState = newState;
-        }
-
-        // Boundary Checks for Inter-District Travel
-        if (moved) checkDistrictBoundaries(player);
-    }
+    // Boundary Checks for Inter-District Travel
+    if (moved) checkDistrictBoundaries(player);
 }
 
 // --- AUDIO SYSTEM ---
-const AUDIO_FILES = {
-    'plaza': '/audio/Plaza.mp3',
-    'housing': '/audio/Housing.mp3',
-    'arena': '/audio/Arena.mp3',
-    'school': '/audio/School.mp3'
-};
 const audioElements = {};
 let currentAudio = null;
 
-// Preload audio objects
-Object.keys(AUDIO_FILES).forEach(key => {
-    const audio = new Audio(AUDIO_FILES[key]);
-    audio.loop = true;
-    audio.volume = 0.5;
-    audioElements[key] = audio;
-});
+// Preload audio objects for every district that defines music
+function loadDistrictMusic() {
+    Object.values(getWorld().districts).forEach(district => {
+        if (!district.music || audioElements[district.id]) return;
+        const audio = new Audio(district.music);
+        audio.loop = true;
+        audio.volume = 0.5;
+        audioElements[district.id] = audio;
+    });
+}
 
 function playDistrictMusic(districtName) {
     // Stop current
@@ -863,7 +2069,7 @@ function playDistrictMusic(districtName) {
     // Play new
     // Note: Browsers block autoplay. This might fail until user interacts.
     // We swallow errors to prevent console spam.
-    const newAudio = audioElements[districtName];
+    const newAudio = audioElements[isBattleRoom(districtName) ? BATTLE_DISTRICT : districtName]; // Battle instances play the arena's music
     if (newAudio) {
         currentAudio = newAudio;
         newAudio.play().catch(e => console.log("Audio autoplay blocked, waiting for interaction"));
@@ -882,39 +2088,21 @@ window.addEventListener('click', () => {
 let isTransitioning = false;
 let transitionTimer = null;
 
-// Map Topology: [Current] -> [Direction] -> [Target]
-const DISTRICT_MAP = {
-    'plaza': { left: 'housing', right: 'arena', top: 'school' },
-    'housing': { right: 'plaza' },
-    'arena': { left: 'plaza' },
-    'school': { bottom: 'plaza' }
-};
-
 function checkDistrictBoundaries(player) {
     if (isTransitioning) return; // Block checks during transition cooldown
 
-    const W = 800; // World Width
-    const H = 600; // World Height
-    const OFFSET = 75; // Safe spawn offset (increased from 50 to prevent immediate re-trigger)
+    const { width: W, height: H, exits } = getDistrict(currentDistrict);
 
     let target = null;
-    let spawn = null;
-
-    if (player.x < 0) {
-        target = DISTRICT_MAP[currentDistrict]?.left;
-        spawn = { x: W - OFFSET, y: player.y };
-    } else if (player.x > W) {
-        target = DISTRICT_MAP[currentDistrict]?.right;
-        spawn = { x: OFFSET, y: player.y };
-    } else if (player.y < 0) {
-        target = DISTRICT_MAP[currentDistrict]?.top;
-        spawn = { x: player.x, y: H - OFFSET };
-    } else if (player.y > H) {
-        target = DISTRICT_MAP[currentDistrict]?.bottom;
-        spawn = { x: player.x, y: OFFSET };
-    }
+    if (player.x < 0 && exits.left) target = exits.left;
+    else if (player.x > W && exits.right) target = exits.right;
+    else if (player.y < 0 && exits.top) target = exits.top;
+    else if (player.y > H && exits.bottom) target = exits.bottom;
 
     if (target) {
+        // Spawn on the matching edge of the target district (the server works out the same)
+        const spawn = exitArrival(currentDistrict, target, player.x, player.y);
+
         // Stop movement to prevent bouncing
         keys.w = keys.a = keys.s = keys.d = false;
 
@@ -926,7 +2114,12 @@ function checkDistrictBoundaries(player) {
         player.x = spawn.x;
         player.y = spawn.y;
 
-        socket.emit('joinDistrict', target, spawn);
+        // Inputs up to here belong to the old district: send them first, then stop replaying them
+        flushInputs(true);
+        pendingInputs = [];
+        pendingDistrict = target;
+
+        socket.emit('joinDistrict', target);
         currentDistrict = target;
         console.log(`Traveling to ${target} at`, spawn);
 
@@ -948,13 +2141,90 @@ function checkDistrictBoundaries(player) {
     }
 }
 
+// --- SNAPSHOT INTERPOLATION ---
+// Remote players are drawn INTERPOLATION_DELAY ms in the past, between the two
+// snapshots surrounding that moment, so they glide instead of jumping every tick.
+const INTERPOLATION_DELAY = 100; // Two server ticks at 20 Hz
+const positionBuffers = {}; // playerId -> [{ time, x, y }]
+
+function bufferPosition(id, x, y, time) {
+    if (!positionBuffers[id]) positionBuffers[id] = [];
+    const buffer = positionBuffers[id];
+    buffer.push({ time, x, y });
+    if (buffer.length > 20) buffer.shift();
+}
+
+function clearPositionBuffers() {
+    Object.keys(positionBuffers).forEach(id => delete positionBuffers[id]);
+}
+
+function interpolatedPosition(player, renderTime) {
+    const buffer = positionBuffers[player.playerId];
+    if (!buffer || buffer.length === 0) return { x: player.x, y: player.y };
+
+    // Drop samples we've fully moved past (render time only goes forward)
+    while (buffer.length >= 2 && buffer[1].time <= renderTime) buffer.shift();
+
+    const [from, to] = buffer;
+    if (!to || renderTime <= from.time) return { x: from.x, y: from.y };
+
+    const t = (renderTime - from.time) / (to.time - from.time);
+    return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t
+    };
+}
+
+const BUSH_REVEAL_DISTANCE = 80;
+
+// Enemies hiding in a bush can only be seen from up close or from inside the same bush
+function isHiddenInBush(p, me, bushes) {
+    if (!me || (p.team && p.team === me.team)) return false;
+    const bush = findArea(bushes, p.x, p.y);
+    if (!bush) return false;
+    return findArea(bushes, me.x, me.y) !== bush && Math.hypot(p.x - me.x, p.y - me.y) > BUSH_REVEAL_DISTANCE;
+}
+
+// Players as drawn this frame: remote players interpolated, the local sprite
+// easing out any pending correction
+function getRenderPlayers() {
+    const renderTime = performance.now() - INTERPOLATION_DELAY;
+    const renderPlayers = {};
+    const me = players[myId];
+    const bushes = getDistrict(currentDistrict).bushes;
+
+    Object.values(players).forEach(p => {
+        if (p.playerId === myId) return;
+        const rendered = { ...p, ...interpolatedPosition(p, renderTime) };
+        if (!isHiddenInBush(rendered, me, bushes)) renderPlayers[p.playerId] = rendered;
+    });
+
+    if (me) {
+        correctionOffset.x *= 0.8;
+        correctionOffset.y *= 0.8;
+        if (Math.abs(correctionOffset.x) < 0.5 && Math.abs(correctionOffset.y) < 0.5) {
+            correctionOffset = { x: 0, y: 0 };
+        }
+        renderPlayers[myId] = { ...me, x: me.x + correctionOffset.x, y: me.y + correctionOffset.y };
+    }
+    return renderPlayers;
+}
+
 function loop() {
     try {
         update();
         // Pass houses for rendering
         // we pass currentDistrict to let renderer know what to draw
         const renderHouses = (currentDistrict === 'housing') ? houses : {};
-        renderer.drawGame(players, renderHouses, currentDistrict);
+        const now = performance.now();
+        renderer.drawGame(getRenderPlayers(), renderHouses, currentDistrict, {
+            projectiles: getRenderProjectiles(now),
+            effects: getRenderEffects(now),
+            classSession: getRenderClassSession(),
+            house: currentHouse(),
+            furnitureEditor: isEditing ? { selectedId: selectedFurnitureId, dragged: draggedFurniture } : null,
+            ownBush: players[myId] ? findArea(getDistrict(currentDistrict).bushes, players[myId].x, players[myId].y) : null
+        });
     } catch (e) {
         console.error("Game Loop Error:", e);
     }
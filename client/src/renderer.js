@@ -1,9 +1,14 @@
+import { getDistrict, isBattleRoom, centerOf } from "../../shared/world.js";
+import { furnitureRect, getFurnitureType } from "../../shared/furniture.js";
+
 export class Renderer {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         this.offsetX = 0;
         this.offsetY = 0;
+        this.worldWidth = 800;
+        this.worldHeight = 600;
         this.resize();
         window.addEventListener('resize', () => this.resize());
 
@@ -21,6 +26,8 @@ export class Renderer {
         this.sprites.ground.src = `${assetBase}ground.png`;
         this.sprites.wall.src = `${assetBase}wall.png`;
 
+        this.furnitureSprites = {}; // sprite file -> Image, loaded the first time it's drawn
+
         // Animation State Tracker
         this.playerAnimationStates = {};
 
@@ -35,9 +42,16 @@ export class Renderer {
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
 
-        // Calculate centering offset for 800x600 game world
-        this.offsetX = (this.canvas.width - 800) / 2;
-        this.offsetY = (this.canvas.height - 600) / 2;
+        // Calculate centering offset for the current district (800x600 by default)
+        this.offsetX = (this.canvas.width - this.worldWidth) / 2;
+        this.offsetY = (this.canvas.height - this.worldHeight) / 2;
+    }
+
+    setWorldSize(width, height) {
+        if (width === this.worldWidth && height === this.worldHeight) return;
+        this.worldWidth = width;
+        this.worldHeight = height;
+        this.resize();
     }
 
     getOffset() {
@@ -49,21 +63,22 @@ export class Renderer {
         this.ctx.fillStyle = '#1a1a1a'; // Dark background for outside game area
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Draw Game Area Background (The 800x600 box)
+        // Draw Game Area Background (The district box)
         this.ctx.fillStyle = '#222';
-        this.ctx.fillRect(this.offsetX, this.offsetY, 800, 600);
+        this.ctx.fillRect(this.offsetX, this.offsetY, this.worldWidth, this.worldHeight);
 
         // Clip to game area to prevent drawing outside
         this.ctx.save();
         this.ctx.beginPath();
-        this.ctx.rect(this.offsetX, this.offsetY, 800, 600);
+        this.ctx.rect(this.offsetX, this.offsetY, this.worldWidth, this.worldHeight);
         this.ctx.clip();
 
         // Translate context so (0,0) is at top-left of game area
         this.ctx.translate(this.offsetX, this.offsetY);
     }
 
-    drawPlayers(players) {
+    // hp bars (and other combat markers) only in battle rooms
+    drawPlayers(players, inCombat = false) {
         const now = Date.now();
 
         Object.values(players).forEach(player => {
@@ -137,6 +152,9 @@ export class Renderer {
             animState.lastY = player.y;
 
 
+            // The dead are faded out until they respawn
+            this.ctx.globalAlpha = inCombat && player.hp === 0 ? 0.35 : 1;
+
             // Draw Player Sprite if loaded, else Circle
             if (this.sprites.player.complete && this.sprites.player.naturalHeight !== 0) {
                 const sprite = this.sprites.player;
@@ -199,6 +217,28 @@ export class Renderer {
                 this.ctx.closePath();
             }
 
+            // Spawn protection bubble
+            if (player.protectedUntil > now) {
+                this.ctx.beginPath();
+                this.ctx.arc(player.x, player.y, 24, 0, Math.PI * 2);
+                this.ctx.fillStyle = 'rgba(120, 200, 255, 0.25)';
+                this.ctx.fill();
+                this.ctx.strokeStyle = 'rgba(120, 200, 255, 0.8)';
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
+                this.ctx.closePath();
+            }
+
+            // Team ring under the label in team matches
+            if (inCombat && player.team) {
+                this.ctx.beginPath();
+                this.ctx.arc(player.x, player.y, 20, 0, Math.PI * 2);
+                this.ctx.strokeStyle = player.team === 'red' ? '#ff4444' : '#4488ff';
+                this.ctx.lineWidth = 3;
+                this.ctx.stroke();
+                this.ctx.closePath();
+            }
+
             // Draw simple name/label
             this.ctx.fillStyle = 'white';
             this.ctx.font = '12px Arial';
@@ -206,7 +246,7 @@ export class Renderer {
             this.ctx.fillText(player.playerId.substr(0, 4), player.x, player.y - 35); // Moved label up slightly
 
             // Draw HP bar if in battle
-            if (player.hp !== undefined) {
+            if (inCombat && player.hp !== undefined) {
                 const barWidth = 40;
                 const barHeight = 4;
                 const hpPercent = player.hp / (player.maxHp || 100);
@@ -219,22 +259,77 @@ export class Renderer {
                 this.ctx.fillStyle = hpPercent > 0.5 ? '#00ff00' : hpPercent > 0.25 ? '#ffaa00' : '#ff0000';
                 this.ctx.fillRect(player.x - barWidth / 2, player.y - 45, barWidth * hpPercent, barHeight);
             }
+            this.ctx.globalAlpha = 1;
         });
     }
 
-    drawSchool() {
-        // Blackboard
+    drawBlackboard(obj) {
+        const { x, y, width, height } = obj;
+        const c = centerOf(obj);
+
         this.ctx.fillStyle = '#2d4d2d'; // Dark Green
-        this.ctx.fillRect(350, 100, 100, 60);
+        this.ctx.fillRect(x, y, width, height);
         this.ctx.strokeStyle = '#8B4513';
         this.ctx.lineWidth = 4;
-        this.ctx.strokeRect(350, 100, 100, 60);
+        this.ctx.strokeRect(x, y, width, height);
 
         // Chalk text
         this.ctx.fillStyle = 'rgba(255,255,255,0.7)';
         this.ctx.font = '10px monospace';
         this.ctx.textAlign = 'center'; // Ensure center alignment
-        this.ctx.fillText("MATH QUIZ", 400, 135); // Centered in 350+50
+        this.ctx.fillText(obj.label, c.x, c.y + 5);
+    }
+
+    // Live scoreboard for a class session, on a big board next to the blackboard
+    drawClassBoard(board, session) {
+        const rows = session.scoreboard.slice(0, 8);
+        const width = 260;
+        const height = 70 + rows.length * 18;
+        const x = Math.min(board.x + board.width + 20, this.worldWidth - width - 10);
+        const y = 10;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(45, 77, 45, 0.95)';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = '#8B4513';
+        this.ctx.lineWidth = 4;
+        this.ctx.strokeRect(x, y, width, height);
+
+        this.ctx.fillStyle = 'rgba(255,255,255,0.9)';
+        this.ctx.font = 'bold 13px monospace';
+        this.ctx.textAlign = 'left';
+        const title = session.phase === 'countdown' ? 'CLASS STARTING'
+            : session.phase === 'results' ? 'CLASS RESULTS'
+                : `QUESTION ${session.round}/${session.rounds}`;
+        this.ctx.fillText(title, x + 10, y + 20);
+        if (session.phase !== 'results') {
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${session.secondsLeft}s`, x + width - 10, y + 20);
+        }
+
+        // The question itself, chalked on the board
+        this.ctx.textAlign = 'left';
+        this.ctx.font = '12px monospace';
+        let line = session.phase === 'countdown' ? 'Gather round the blackboard!' : '';
+        if (session.question) line = session.question.text;
+        if (session.phase === 'reveal') line = `Answer: ${session.correctAnswer}`;
+        if (line.length > 34) line = line.slice(0, 33) + '…';
+        this.ctx.fillText(line, x + 10, y + 42);
+
+        rows.forEach((p, i) => {
+            const rowY = y + 66 + i * 18;
+            this.ctx.fillStyle = p.color || '#fff';
+            this.ctx.fillText(`${i + 1}. ${p.username}`.slice(0, 20), x + 10, rowY);
+
+            let mark = '';
+            if (session.phase === 'question' && p.answered) mark = '✎';
+            if (session.phase === 'reveal') mark = p.lastCorrect ? '✔' : '✘';
+            this.ctx.fillStyle = 'rgba(255,255,255,0.9)';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${mark} ${p.score}`, x + width - 10, rowY);
+            this.ctx.textAlign = 'left';
+        });
+        this.ctx.restore();
     }
 
     drawHouses(houses) {
@@ -253,144 +348,304 @@ export class Renderer {
             this.ctx.textAlign = 'center';
             if (house.owner) {
                 this.ctx.fillText(house.owner, house.x, house.y + 50);
+                if (house.listPrice) {
+                    this.ctx.fillStyle = '#ffd700';
+                    this.ctx.fillText(`Listed: ${house.listPrice} coins`, house.x, house.y + 62);
+                }
             } else {
                 this.ctx.fillText("For Sale", house.x, house.y + 50);
             }
 
-            // Draw Furniture
-            if (house.furniture && Array.isArray(house.furniture)) {
-                house.furniture.forEach(item => {
-                    this.ctx.fillStyle = item.color || '#885522';
-                    this.ctx.fillRect(item.x - 10, item.y - 10, 20, 20); // Generic 20x20 box
-                });
+        });
+    }
+
+    // Inside a house: the owner's furniture (interior coordinates)
+    // editor: { selectedId, dragged } while the owner is editing; the dragged piece is drawn
+    // where the mouse has it
+    drawFurniture(furniture = [], editor = null) {
+        furniture.forEach(item => {
+            const dragged = editor && editor.dragged && editor.dragged.id === item.id;
+            const r = furnitureRect(dragged ? { ...item, x: editor.dragged.x, y: editor.dragged.y } : item);
+
+            this.ctx.globalAlpha = dragged ? 0.6 : 1;
+            const sprite = this.furnitureSprite(item.type);
+            if (sprite) {
+                // Sprites face rotation 0; turn them about the piece's centre
+                const type = getFurnitureType(item.type);
+                this.ctx.save();
+                this.ctx.translate(r.x + r.width / 2, r.y + r.height / 2);
+                this.ctx.rotate((item.rotation || 0) * Math.PI / 180);
+                this.ctx.drawImage(sprite, -type.width / 2, -type.height / 2, type.width, type.height);
+                this.ctx.restore();
+            } else {
+                this.ctx.fillStyle = item.color || '#885522';
+                this.ctx.fillRect(r.x, r.y, r.width, r.height);
+            }
+            this.ctx.globalAlpha = 1;
+
+            if (editor && editor.selectedId === item.id) {
+                this.ctx.strokeStyle = '#00ff00';
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(r.x - 2, r.y - 2, r.width + 4, r.height + 4);
             }
         });
     }
 
-    drawArena() {
-        // Weapon Shop
+    // The catalog sprite once it has loaded (null until then, or if the type has none)
+    furnitureSprite(typeId) {
+        const type = getFurnitureType(typeId);
+        if (!type || !type.sprite) return null;
+        if (!this.furnitureSprites[type.sprite]) {
+            this.furnitureSprites[type.sprite] = new Image();
+            this.furnitureSprites[type.sprite].src = `/sprites/furniture/${type.sprite}`;
+        }
+        const sprite = this.furnitureSprites[type.sprite];
+        return sprite.complete && sprite.naturalWidth > 0 ? sprite : null;
+    }
+
+    drawDoor(obj) {
+        const { x, y, width, height } = obj;
+        const c = centerOf(obj);
+
+        this.ctx.fillStyle = '#a0522d';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = '#3b2414';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(obj.label, c.x, c.y + 4);
+    }
+
+    drawShop(obj) {
+        const { x, y, width, height } = obj;
+        const c = centerOf(obj);
+
         this.ctx.fillStyle = '#800000'; // Maroon
-        this.ctx.fillRect(100, 100, 120, 80);
+        this.ctx.fillRect(x, y, width, height);
         this.ctx.strokeStyle = '#fff';
-        this.ctx.strokeRect(100, 100, 120, 80);
+        this.ctx.strokeRect(x, y, width, height);
         this.ctx.fillStyle = 'white';
         this.ctx.font = '14px Arial';
         this.ctx.textAlign = 'center';
-        this.ctx.fillText("WEAPON STORE", 160, 145);
+        this.ctx.fillText(obj.label, c.x, c.y + 5);
+    }
+
+    drawGate(obj) {
+        const { x, y, width, height } = obj;
 
-        // Battle Gate
         this.ctx.fillStyle = '#333';
-        this.ctx.fillRect(600, 100, 100, 120);
+        this.ctx.fillRect(x, y, width, height);
         this.ctx.fillStyle = '#ff0000'; // Red portal center
         this.ctx.globalAlpha = 0.6;
-        this.ctx.fillRect(610, 110, 80, 100);
+        this.ctx.fillRect(x + 10, y + 10, width - 20, height - 20);
         this.ctx.globalAlpha = 1.0;
         this.ctx.fillStyle = 'white';
-        this.ctx.fillText("BATTLE GATE", 650, 90);
+        this.ctx.font = '14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(obj.label, x + width / 2, y - 10);
+    }
+
+    // Lava-style hazard: glowing pool that pulses
+    drawHazard({ x, y, width, height }) {
+        const pulse = 0.6 + Math.sin(Date.now() / 300) * 0.15;
+        this.ctx.fillStyle = `rgba(255, 90, 0, ${pulse})`;
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = '#ffcc00';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x, y, width, height);
+    }
+
+    drawBush({ x, y, width, height }, seeThrough = false) {
+        const alpha = seeThrough ? 0.45 : 0.85;
+        this.ctx.fillStyle = `rgba(34, 139, 34, ${alpha})`;
+        this.ctx.fillRect(x, y, width, height);
+        // Leafy edge
+        this.ctx.fillStyle = `rgba(50, 170, 50, ${alpha})`;
+        for (let i = 0; i < width; i += 20) {
+            this.ctx.beginPath();
+            this.ctx.arc(x + i + 10, y, 10, Math.PI, 0);
+            this.ctx.fill();
+        }
     }
 
-    drawBrawlStarsDistrict() {
+    drawNeonGrid() {
         // Ground - Purple/Neon
         this.ctx.fillStyle = '#1a0033';
-        this.ctx.fillRect(0, 0, 800, 600);
+        this.ctx.fillRect(0, 0, this.worldWidth, this.worldHeight);
 
         // Neon Grid
         this.ctx.strokeStyle = '#ff00ff';
         this.ctx.lineWidth = 1;
         this.ctx.globalAlpha = 0.3;
-        for (let i = 0; i <= 800; i += 40) {
+        for (let i = 0; i <= this.worldWidth; i += 40) {
             this.ctx.beginPath();
             this.ctx.moveTo(i, 0);
-            this.ctx.lineTo(i, 600);
+            this.ctx.lineTo(i, this.worldHeight);
             this.ctx.stroke();
         }
-        for (let i = 0; i <= 600; i += 40) {
+        for (let i = 0; i <= this.worldHeight; i += 40) {
             this.ctx.beginPath();
             this.ctx.moveTo(0, i);
-            this.ctx.lineTo(800, i);
+            this.ctx.lineTo(this.worldWidth, i);
             this.ctx.stroke();
         }
         this.ctx.globalAlpha = 1.0;
+    }
+
+    drawPortal(obj) {
+        const { x: cx, y: cy } = centerOf(obj);
+        const radius = Math.min(obj.width, obj.height) / 2;
 
-        // Big Portal in Center
-        const cx = 400, cy = 300;
-        const grad = this.ctx.createRadialGradient(cx, cy, 50, cx, cy, 150);
+        const grad = this.ctx.createRadialGradient(cx, cy, radius / 3, cx, cy, radius);
         grad.addColorStop(0, '#00ffff');
         grad.addColorStop(0.5, '#ff00ff');
         grad.addColorStop(1, 'transparent');
 
         this.ctx.fillStyle = grad;
         this.ctx.beginPath();
-        this.ctx.arc(cx, cy, 150, 0, Math.PI * 2);
+        this.ctx.arc(cx, cy, radius, 0, Math.PI * 2);
         this.ctx.fill();
 
         // Portal Icon
         this.ctx.fillStyle = 'white';
         this.ctx.font = 'bold 30px Arial';
         this.ctx.textAlign = 'center';
-        this.ctx.fillText("BRAWL PORTAL", cx, cy - 20);
-        this.ctx.font = '16px Arial';
-        this.ctx.fillText("Touch to jump to Rip off Brawl stars", cx, cy + 20);
+        this.ctx.fillText(obj.label, cx, cy - 20);
+        if (obj.description) {
+            this.ctx.font = '16px Arial';
+            this.ctx.fillText(obj.description, cx, cy + 20);
+        }
     }
 
+    // Anything without a dedicated look: labelled box
+    drawGenericInteractable(obj) {
+        const c = centerOf(obj);
+        this.ctx.fillStyle = '#555';
+        this.ctx.fillRect(obj.x, obj.y, obj.width, obj.height);
+        this.ctx.strokeStyle = '#999';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(obj.x, obj.y, obj.width, obj.height);
+        this.ctx.fillStyle = 'white';
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(obj.label || '', c.x, c.y + 4);
+    }
 
+    drawInteractable(obj) {
+        switch (obj.kind) {
+            case 'shop': return this.drawShop(obj);
+            case 'gate': return this.drawGate(obj);
+            case 'blackboard': return this.drawBlackboard(obj);
+            case 'portal': return this.drawPortal(obj);
+            case 'door': return this.drawDoor(obj);
+            default: return this.drawGenericInteractable(obj);
+        }
+    }
 
-    drawBattleZone() {
+    // color: plain walls in that color (house interiors) instead of the wall sprite
+    drawObstacles(obstacles, color = null) {
         // Draw obstacles with better visuals
-        this.ctx.fillStyle = '#444';
+        this.ctx.fillStyle = color || '#444';
         this.ctx.strokeStyle = '#777';
         this.ctx.lineWidth = 2;
 
-        const drawWall = (x, y, w, h) => {
-            if (this.sprites.wall.complete && this.sprites.wall.naturalHeight !== 0) {
-                this.ctx.drawImage(this.sprites.wall, x, y, w, h);
+        obstacles.forEach(({ x, y, width, height }) => {
+            if (!color && this.sprites.wall.complete && this.sprites.wall.naturalHeight !== 0) {
+                this.ctx.drawImage(this.sprites.wall, x, y, width, height);
             } else {
-                this.ctx.fillRect(x, y, w, h);
-                this.ctx.strokeRect(x, y, w, h);
+                this.ctx.fillRect(x, y, width, height);
+                this.ctx.strokeRect(x, y, width, height);
             }
-        };
+        });
+    }
 
-        // Top-left
-        drawWall(200, 150, 80, 80);
-        // Top-right
-        drawWall(520, 150, 80, 80);
-        // Bottom-left
-        drawWall(200, 370, 80, 80);
-        // Bottom-right
-        drawWall(520, 370, 80, 80);
-        // Center obstacle (darker)
-        this.ctx.fillStyle = '#333';
-        drawWall(260, 260, 80, 80);
-        drawWall(460, 260, 80, 80);
+    drawProjectiles(projectiles) {
+        projectiles.forEach(p => {
+            this.ctx.save();
+            this.ctx.shadowColor = p.color || '#ffaa00';
+            this.ctx.shadowBlur = 8;
+            this.ctx.fillStyle = p.color || '#ffaa00';
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        });
+    }
 
-        // Border warning
-        this.ctx.strokeStyle = '#ff0000';
-        this.ctx.lineWidth = 3;
-        this.ctx.strokeRect(0, 0, 800, 600);
+    // Melee swings (filled arc) and heals (expanding ring), fading out over their lifetime
+    drawAttackEffects(effects, players) {
+        effects.forEach(effect => {
+            const attacker = players[effect.attackerId];
+            if (!attacker) return;
+
+            this.ctx.save();
+            this.ctx.globalAlpha = Math.max(0, 1 - effect.progress);
+            this.ctx.strokeStyle = effect.color || '#ffffff';
+            this.ctx.fillStyle = effect.color || '#ffffff';
+            this.ctx.lineWidth = 3;
+
+            if (effect.type === 'near') {
+                this.ctx.beginPath();
+                this.ctx.arc(attacker.x, attacker.y, effect.range * (0.5 + effect.progress / 2), 0, Math.PI * 2);
+                this.ctx.stroke();
+            } else {
+                const halfArc = (effect.arc || Math.PI / 2) / 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(attacker.x, attacker.y);
+                this.ctx.arc(attacker.x, attacker.y, effect.range, effect.angle - halfArc, effect.angle + halfArc);
+                this.ctx.closePath();
+                this.ctx.globalAlpha *= 0.35;
+                this.ctx.fill();
+                this.ctx.globalAlpha = Math.max(0, 1 - effect.progress);
+                this.ctx.stroke();
+            }
+            this.ctx.restore();
+        });
     }
 
-    drawGame(players, houses = {}, currentDistrict = 'plaza') {
+    // overlays: { projectiles, effects, classSession, ownBush, house } drawn on top of the district
+    drawGame(players, houses = {}, currentDistrict = 'plaza', overlays = {}) {
+        // Everything district-specific comes from the shared world data
+        const district = getDistrict(currentDistrict);
+        this.setWorldSize(district.width, district.height);
+
         this.clear(); // This now sets up the transform and clip
 
         // Draw Ground Texture if available
         if (this.sprites.ground.complete && this.sprites.ground.naturalHeight !== 0) {
             // Draw tiled? For now just stretch or simple fill
-            this.ctx.drawImage(this.sprites.ground, 0, 0, 800, 600);
+            this.ctx.drawImage(this.sprites.ground, 0, 0, this.worldWidth, this.worldHeight);
         }
 
-        if (currentDistrict === 'housing') {
-            this.drawHouses(houses);
-        } else if (currentDistrict === 'school') {
-            this.drawSchool();
-        } else if (currentDistrict === 'arena') {
-            this.drawArena();
-        } else if (currentDistrict === 'arena_battle') {
-            this.drawBattleZone();
-        } else if (currentDistrict === 'brawl_stars') {
-            this.drawBrawlStarsDistrict();
+        if (district.theme === 'neon') this.drawNeonGrid();
+        else if (district.background || district.floor) {
+            this.ctx.fillStyle = district.background || district.floor;
+            this.ctx.fillRect(0, 0, this.worldWidth, this.worldHeight);
+        }
+        (district.hazards || []).forEach(hazard => this.drawHazard(hazard));
+
+        this.drawHouses(houses);
+        this.drawObstacles(district.obstacles, district.wall);
+        if (overlays.house) this.drawFurniture(overlays.house.furniture, overlays.furnitureEditor);
+        district.interactables.forEach(obj => this.drawInteractable(obj));
+
+        const board = overlays.classSession && district.interactables.find(obj => obj.kind === 'blackboard');
+        if (board) this.drawClassBoard(board, overlays.classSession);
+
+        // Border warning
+        if (district.border) {
+            this.ctx.strokeStyle = district.border;
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(0, 0, this.worldWidth, this.worldHeight);
         }
 
-        this.drawPlayers(players);
+        this.drawPlayers(players, isBattleRoom(currentDistrict));
+        // Bushes go over the players standing in them (see-through for the one we're in)
+        (district.bushes || []).forEach(bush => this.drawBush(bush, bush === overlays.ownBush));
+        this.drawAttackEffects(overlays.effects || [], players);
+        this.drawProjectiles(overlays.projectiles || []);
 
         // Restore context to remove clip/transform for next frame (though we clear next frame anyway)
         this.ctx.restore();
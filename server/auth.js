@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+
+// Password hashing (scrypt from node:crypto)
+// Stored format: scrypt$N$r$p$salt$hash (salt and hash are base64)
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function scrypt(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const key = await scrypt(password, salt, SCRYPT_PARAMS);
+    return [HASH_PREFIX, N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+function parseHash(stored) {
+    if (typeof stored !== 'string') return null;
+    const parts = stored.split('$');
+    if (parts.length !== 6 || parts[0] !== HASH_PREFIX) return null;
+    const [, N, r, p, salt, hash] = parts;
+    return {
+        params: { N: Number(N), r: Number(r), p: Number(p) },
+        salt: Buffer.from(salt, 'base64'),
+        hash: Buffer.from(hash, 'base64')
+    };
+}
+
+// Compare two strings without leaking where they differ (or their length)
+function safeEqualStrings(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+export async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || !stored) return false;
+
+    const parsed = parseHash(stored);
+    if (!parsed) {
+        // Legacy record stored in plaintext; caller should rehash on success
+        return safeEqualStrings(password, stored);
+    }
+
+    const key = await scrypt(password, parsed.salt, parsed.params);
+    return key.length === parsed.hash.length && crypto.timingSafeEqual(key, parsed.hash);
+}
+
+// True for plaintext records and hashes made with outdated parameters
+export function needsRehash(stored) {
+    const parsed = parseHash(stored);
+    if (!parsed) return true;
+    return parsed.params.N !== SCRYPT_PARAMS.N ||
+        parsed.params.r !== SCRYPT_PARAMS.r ||
+        parsed.params.p !== SCRYPT_PARAMS.p;
+}
+
+// Session tokens: base64url(payload).base64url(HMAC-SHA256 signature)
+// The payload carries the session id so a token can be revoked server-side.
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const SESSION_SECRET = process.env.SESSION_SECRET || (() => {
+    console.warn("SESSION_SECRET not set, using a random secret (sessions won't survive a restart)");
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+function sign(data) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+export function createSessionToken(username) {
+    const payload = {
+        sid: crypto.randomUUID(),
+        username,
+        exp: Date.now() + SESSION_TTL_MS
+    };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${data}.${sign(data)}`, ...payload };
+}
+
+// Returns the payload of a well-formed, correctly signed, unexpired token (or null)
+export function readSessionToken(token) {
+    if (typeof token !== 'string') return null;
+    const [data, signature] = token.split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(sign(data));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        if (!payload.sid || !payload.username || !(payload.exp > Date.now())) return null;
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Admins: users with role "admin", plus anyone listed in ADMIN_USERS (comma separated)
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+export function isAdmin(user) {
+    return !!user && (user.role === 'admin' || ADMIN_USERS.includes(user.username));
+}
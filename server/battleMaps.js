@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+
+// Battle maps: one JSON file per map in initial_data/battle_maps (the file name is the map
+// id). A map is a district for a battle room: size, theme/background/border, obstacles,
+// spawnPoints (optionally per team), bushes (the client stops drawing enemies in them; a
+// visual cover only, snapshots still carry their positions) and hazards
+// (hurt whoever stands in them, `damage` every HAZARD_TICK in combat.js). The match
+// manager rotates through them in file name order.
+
+const maps = new Map(); // id -> map
+
+const isRect = (r) => r && ['x', 'y', 'width', 'height'].every(key => typeof r[key] === 'number');
+
+// Throws on anything the server or the renderer couldn't use
+export function validateMap(map) {
+    if (!map || typeof map !== 'object') throw new Error('Map must be an object');
+    ['obstacles', 'bushes', 'hazards'].forEach(key => {
+        if (map[key] === undefined) return;
+        if (!Array.isArray(map[key]) || !map[key].every(isRect)) throw new Error(`"${key}" must be a list of rectangles`);
+    });
+    if (!Array.isArray(map.spawnPoints) || map.spawnPoints.length === 0) throw new Error('At least one spawn point is required');
+    if (!map.spawnPoints.every(p => typeof p.x === 'number' && typeof p.y === 'number')) throw new Error('Invalid spawn point');
+    if ((map.hazards || []).some(h => typeof h.damage !== 'number' || h.damage <= 0)) throw new Error('Hazards need a positive damage');
+
+    return {
+        name: map.name || 'Unnamed map',
+        width: map.width || 800,
+        height: map.height || 600,
+        theme: map.theme || null,
+        background: map.background || null,
+        border: map.border || '#ff0000',
+        obstacles: map.obstacles || [],
+        spawnPoints: map.spawnPoints,
+        spawn: { x: map.spawnPoints[0].x, y: map.spawnPoints[0].y },
+        bushes: map.bushes || [],
+        hazards: map.hazards || []
+    };
+}
+
+export function loadBattleMaps(directory) {
+    if (!fs.existsSync(directory)) return;
+    fs.readdirSync(directory).filter(file => path.extname(file) === '.json').sort().forEach(file => {
+        const id = path.basename(file, '.json');
+        try {
+            const map = validateMap(JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+            maps.set(id, { ...map, mapId: id });
+        } catch (e) {
+            console.error(`Could not load battle map ${file}:`, e.message);
+        }
+    });
+    console.log(`Loaded ${maps.size} battle maps`);
+}
+
+export function getBattleMap(id) {
+    return maps.get(id) || null;
+}
+
+export function mapRotation() {
+    return [...maps.keys()];
+}
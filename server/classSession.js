@@ -0,0 +1,193 @@
+import { createQuestion, publicQuestion, answerText } from './quiz.js';
+import { isCorrect } from './curriculum.js';
+import { getDistrict, centerOf } from '../shared/world.js';
+
+// Class sessions: a timed quiz for everyone standing near a blackboard. Everybody gets the
+// same question, answers race each other (correct + fast scores most), and the top
+// finishers are paid when the last round is over. One session per district at a time,
+// advanced by the game loop (updateClassSessions).
+//
+// Phases: countdown -> (question -> reveal) x ROUNDS -> results
+
+export const ROUNDS = 5;
+export const COUNTDOWN_TIME = 10 * 1000; // Time to gather the class
+export const QUESTION_TIME = 15 * 1000;
+export const REVEAL_TIME = 4 * 1000; // Right answer + scores between rounds
+export const RESULTS_TIME = 15 * 1000;
+
+export const PRIZES = [50, 30, 20]; // 1st, 2nd, 3rd
+// No prizes for a class of one (that's just the solo quiz with bigger rewards)
+export const MIN_PLAYERS_FOR_PRIZES = 2;
+
+const CORRECT_POINTS = 100;
+const SPEED_POINTS = 100; // Scaled by how much of the time was left
+const DEFAULT_CLASS_RADIUS = 150;
+
+const sessions = new Map(); // district -> session
+
+function findBlackboard(district) {
+    return getDistrict(district).interactables.find(obj => obj.action === 'startQuiz') || null;
+}
+
+export function isNearBlackboard(player) {
+    const board = findBlackboard(player.district);
+    if (!board) return false;
+    const c = centerOf(board);
+    return Math.hypot(player.x - c.x, player.y - c.y) <= (board.classRadius || DEFAULT_CLASS_RADIUS);
+}
+
+export function getClassSession(district) {
+    return sessions.get(district) || null;
+}
+
+// Best score first; ties go to whoever answered faster overall
+function ranking(session) {
+    return [...session.participants.values()].sort((a, b) => b.score - a.score || a.totalTime - b.totalTime);
+}
+
+// Returns { ok: true, session } or { ok: false, reason }
+export function startClassSession(starter, subject, level, now = Date.now()) {
+    if (!isNearBlackboard(starter)) return { ok: false, reason: 'not_near_blackboard' };
+    if (sessions.has(starter.district)) return { ok: false, reason: 'in_progress' };
+    if (!createQuestion(subject, level)) return { ok: false, reason: 'unknown_subject' };
+
+    const session = {
+        district: starter.district,
+        subject,
+        level,
+        startedBy: starter.username,
+        phase: 'countdown',
+        phaseStartedAt: now,
+        phaseEndsAt: now + COUNTDOWN_TIME,
+        round: 0,
+        question: null,
+        participants: new Map() // username -> { username, color, score, correct, totalTime, answer }
+    };
+    sessions.set(session.district, session);
+    return { ok: true, session };
+}
+
+// Only the first answer of each participant counts.
+// Returns { ok: true, session, correct } or { ok: false, reason }
+export function submitClassAnswer(player, questionId, answer, now = Date.now()) {
+    const session = sessions.get(player.district);
+    if (!session || session.phase !== 'question' || session.question.id !== questionId) {
+        return { ok: false, reason: 'unknown_question' };
+    }
+    const participant = session.participants.get(player.username);
+    if (!participant) return { ok: false, reason: 'not_participant' };
+    if (participant.answer) return { ok: false, reason: 'already_answered' };
+
+    participant.answer = { correct: isCorrect(session.question, answer), time: now - session.phaseStartedAt };
+
+    // Everyone's in: no need to wait for the clock
+    if ([...session.participants.values()].every(p => p.answer)) session.phaseEndsAt = now;
+    return { ok: true, session, correct: participant.answer.correct };
+}
+
+function startRound(session, players, now) {
+    // Anyone who walked up to the board since the last round joins in
+    Object.values(players).forEach(player => {
+        if (player.district !== session.district || !isNearBlackboard(player)) return;
+        if (!session.participants.has(player.username)) {
+            session.participants.set(player.username, {
+                username: player.username,
+                color: player.color,
+                score: 0,
+                correct: 0,
+                totalTime: 0,
+                answer: null
+            });
+        }
+    });
+    if (session.participants.size === 0) return false;
+
+    session.participants.forEach(p => { p.answer = null; });
+    // Fall back to the curriculum if the bank was disabled mid-session
+    session.question = createQuestion(session.subject, session.level) || createQuestion('mixed', session.level);
+    session.round++;
+    session.phase = 'question';
+    session.phaseStartedAt = now;
+    session.phaseEndsAt = now + QUESTION_TIME;
+    return true;
+}
+
+function scoreRound(session, now) {
+    session.participants.forEach(p => {
+        if (p.answer && p.answer.correct) {
+            const timeLeft = Math.max(0, 1 - p.answer.time / QUESTION_TIME);
+            p.score += CORRECT_POINTS + Math.round(SPEED_POINTS * timeLeft);
+            p.correct++;
+            p.totalTime += p.answer.time;
+        } else {
+            p.totalTime += QUESTION_TIME;
+        }
+    });
+    session.phase = 'reveal';
+    session.phaseStartedAt = now;
+    session.phaseEndsAt = now + REVEAL_TIME;
+}
+
+// Final standings with prizes for the top finishers that got at least one answer right
+function finish(session, now) {
+    const eligible = session.participants.size >= MIN_PLAYERS_FOR_PRIZES;
+    let place = 0;
+    session.results = ranking(session).map(p => {
+        const prize = eligible && p.correct > 0 && place < PRIZES.length ? PRIZES[place++] : 0;
+        return { username: p.username, score: p.score, correct: p.correct, prize };
+    });
+    session.phase = 'results';
+    session.phaseStartedAt = now;
+    session.phaseEndsAt = now + RESULTS_TIME;
+}
+
+// Game loop system. Calls onUpdate(session) on every phase change, onFinish(session, results)
+// once when the last round is scored and onEnd(session) when the session goes away.
+export function updateClassSessions(now, players, { onUpdate, onFinish, onEnd }) {
+    sessions.forEach(session => {
+        if (now < session.phaseEndsAt) return;
+
+        if (session.phase === 'question') {
+            scoreRound(session, now);
+        } else if (session.phase === 'results') {
+            sessions.delete(session.district);
+            onEnd(session);
+            return;
+        } else if (session.round < ROUNDS) {
+            if (!startRound(session, players, now)) {
+                // Nobody showed up
+                sessions.delete(session.district);
+                onEnd(session);
+                return;
+            }
+        } else {
+            finish(session, now);
+            onFinish(session, session.results);
+        }
+        onUpdate(session);
+    });
+}
+
+// What everyone in the room sees (the board and the answer panel)
+export function classSessionState(session, now = Date.now()) {
+    const showQuestion = session.phase === 'question' || session.phase === 'reveal';
+    return {
+        phase: session.phase,
+        round: session.round,
+        rounds: ROUNDS,
+        startedBy: session.startedBy,
+        remaining: Math.max(0, session.phaseEndsAt - now),
+        question: showQuestion ? publicQuestion(session.question) : null,
+        correctAnswer: session.phase === 'reveal' ? answerText(session.question) : null,
+        scoreboard: ranking(session).map(p => ({
+            username: p.username,
+            color: p.color,
+            score: p.score,
+            correct: p.correct,
+            answered: !!p.answer,
+            // Whether this round's answer was right stays secret until the reveal
+            lastCorrect: session.phase === 'reveal' ? !!(p.answer && p.answer.correct) : null
+        })),
+        results: session.results || null
+    };
+}
@@ -0,0 +1,169 @@
+import { PLAYER_RADIUS, getDistrict, getObstacles, findArea, hasLineOfSight, isInBounds, segmentIntersectsRect } from '../shared/world.js';
+
+// Combat rules, by weapon type (items.json):
+// - melee: hits every enemy in range inside an arc in front of the attacker
+// - ranged: fires a projectile that the server simulates every tick (gameLoop.js)
+//   until it hits a wall, a player or runs out of range
+// - near: negative damage heals allies (and yourself) in range, up to maxHp
+// Range, cooldown and line of sight are all enforced here, never trusted from the client.
+// Battle map hazards (lava...) hurt whoever stands in them every HAZARD_TICK.
+
+// Attacking with nothing equipped
+export const UNARMED = { id: 'fists', name: 'Fists', type: 'melee', damage: 5, range: 40, cooldown: 500 };
+
+export const MELEE_ARC = Math.PI / 2; // 90° swing centered on the facing direction
+export const PROJECTILE_SPEED = 500; // px per second
+export const HAZARD_TICK = 500;
+
+// Remote players are drawn ~100ms in the past on the attacker's screen (interpolation),
+// so allow a little slack on range checks
+const RANGE_TOLERANCE = 20;
+
+const lastAttackAt = new Map(); // `${playerId}:${weaponId}` -> timestamp
+const projectiles = new Map(); // id -> projectile
+let nextProjectileId = 1;
+let sinceHazardTick = 0;
+
+export function clearCombat(playerId) {
+    lastAttackAt.forEach((_, key) => {
+        if (key.startsWith(`${playerId}:`)) lastAttackAt.delete(key);
+    });
+    projectiles.forEach((projectile, id) => {
+        if (projectile.ownerId === playerId) projectiles.delete(id);
+    });
+}
+
+// Same player, or teammates when teams are in play
+export function isAlly(a, b) {
+    return a.playerId === b.playerId || (a.team != null && a.team === b.team);
+}
+
+// Returns { ok: true } or { ok: false, reason, retryIn? }
+export function checkCooldown(attacker, weapon, now = Date.now()) {
+    const last = lastAttackAt.get(`${attacker.playerId}:${weapon.id}`);
+    if (last !== undefined && now - last < weapon.cooldown) {
+        return { ok: false, reason: 'cooldown', retryIn: weapon.cooldown - (now - last) };
+    }
+    return { ok: true };
+}
+
+export function recordAttack(attacker, weapon, now = Date.now()) {
+    lastAttackAt.set(`${attacker.playerId}:${weapon.id}`, now);
+}
+
+function inReach(attacker, target, weapon) {
+    if (target.district !== attacker.district || target.hp <= 0) return false;
+    const dist = Math.hypot(target.x - attacker.x, target.y - attacker.y);
+    return dist <= weapon.range + RANGE_TOLERANCE &&
+        hasLineOfSight(attacker.district, attacker.x, attacker.y, target.x, target.y);
+}
+
+// Smallest difference between two angles (radians)
+function angleBetween(a, b) {
+    const diff = Math.abs(a - b) % (Math.PI * 2);
+    return diff > Math.PI ? Math.PI * 2 - diff : diff;
+}
+
+// Enemies caught in a melee swing towards `angle`
+export function meleeTargets(attacker, weapon, angle, candidates) {
+    return candidates.filter(target => {
+        if (isAlly(attacker, target) || !inReach(attacker, target, weapon)) return false;
+        const dist = Math.hypot(target.x - attacker.x, target.y - attacker.y);
+        // Someone standing on top of us is always hit
+        if (dist <= PLAYER_RADIUS) return true;
+        const toTarget = Math.atan2(target.y - attacker.y, target.x - attacker.x);
+        return angleBetween(toTarget, angle) <= MELEE_ARC / 2;
+    });
+}
+
+// Allies (including the healer) a "near" item reaches
+export function healTargets(attacker, weapon, candidates) {
+    return candidates.filter(target => isAlly(attacker, target) && inReach(attacker, target, weapon));
+}
+
+export function spawnProjectile(attacker, weapon, angle) {
+    const projectile = {
+        id: nextProjectileId++,
+        ownerId: attacker.playerId,
+        team: attacker.team ?? null,
+        district: attacker.district,
+        x: attacker.x,
+        y: attacker.y,
+        vx: Math.cos(angle) * PROJECTILE_SPEED,
+        vy: Math.sin(angle) * PROJECTILE_SPEED,
+        remaining: weapon.range,
+        damage: weapon.damage,
+        weaponId: weapon.id,
+        color: weapon.color
+    };
+    projectiles.set(projectile.id, projectile);
+    return projectile;
+}
+
+// Parameter t (0..1) along the segment where it first comes within `radius` of the point, or null
+function segmentHitsCircle(x1, y1, x2, y2, cx, cy, radius) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((cx - x1) * dx + (cy - y1) * dy) / lengthSq));
+    const px = x1 + dx * t;
+    const py = y1 + dy * t;
+    return Math.hypot(cx - px, cy - py) <= radius ? t : null;
+}
+
+// Advances every projectile by dt ms. Calls onHit(projectile, target) for the first enemy
+// each one touches and onRemove(projectile) when it disappears for any reason.
+export function updateProjectiles(dt, players, { onHit, onRemove }) {
+    const seconds = dt / 1000;
+
+    projectiles.forEach(projectile => {
+        const owner = players[projectile.ownerId];
+        const step = Math.min(projectile.remaining, PROJECTILE_SPEED * seconds);
+        const toX = projectile.x + (projectile.vx / PROJECTILE_SPEED) * step;
+        const toY = projectile.y + (projectile.vy / PROJECTILE_SPEED) * step;
+
+        let hit = null;
+        let hitT = Infinity;
+        Object.values(players).forEach(target => {
+            if (target.district !== projectile.district || target.hp <= 0) return;
+            if (target.playerId === projectile.ownerId) return;
+            if (projectile.team != null && target.team === projectile.team) return;
+            const t = segmentHitsCircle(projectile.x, projectile.y, toX, toY, target.x, target.y, PLAYER_RADIUS);
+            if (t !== null && t < hitT) {
+                hit = target;
+                hitT = t;
+            }
+        });
+
+        // A wall between here and the player we'd hit stops the shot first
+        const blocked = getObstacles(projectile.district).some(obstacle => {
+            const endX = hit ? projectile.x + (toX - projectile.x) * hitT : toX;
+            const endY = hit ? projectile.y + (toY - projectile.y) * hitT : toY;
+            return segmentIntersectsRect(projectile.x, projectile.y, endX, endY, obstacle);
+        });
+
+        projectile.x = toX;
+        projectile.y = toY;
+        projectile.remaining -= step;
+
+        if (!blocked && hit && owner) onHit(projectile, hit);
+
+        if (blocked || hit || !owner || projectile.remaining <= 0 || !isInBounds(projectile.district, toX, toY)) {
+            projectiles.delete(projectile.id);
+            onRemove(projectile);
+        }
+    });
+}
+
+// Calls onHazard(player, hazard) every HAZARD_TICK for each live player standing in a hazard
+export function updateHazards(dt, players, { onHazard }) {
+    sinceHazardTick += dt;
+    if (sinceHazardTick < HAZARD_TICK) return;
+    sinceHazardTick %= HAZARD_TICK;
+
+    Object.values(players).forEach(player => {
+        if (!(player.hp > 0)) return;
+        const hazard = findArea(getDistrict(player.district).hazards, player.x, player.y);
+        if (hazard) onHazard(player, hazard);
+    });
+}
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+
+// Academy curriculum: question generators per subject, each taking a difficulty level
+// (1 = easiest .. MAX_LEVEL). Generators return { text, answer, tolerance? } where answer
+// is a number; players may type integers, decimals or fractions like "3/4".
+// Teacher-authored questions come from question banks instead (questionBanks.js).
+
+export const MAX_LEVEL = 5;
+
+const pick = (list) => list[crypto.randomInt(list.length)];
+const between = (min, max) => min + crypto.randomInt(max - min + 1);
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+// Number ranges per level
+const SUM_MAX = [10, 20, 50, 100, 1000];
+const FACTOR_MAX = [5, 10, 12, 15, 25];
+const DENOMINATORS = [[2], [2, 4], [2, 3, 4, 6], [2, 3, 4, 5, 6, 8], [2, 3, 4, 5, 6, 8, 10, 12]];
+
+function addition(level) {
+    const max = SUM_MAX[level - 1];
+    const a = between(0, max);
+    const b = between(0, max);
+    return { text: `${a} + ${b} = ?`, answer: a + b };
+}
+
+function subtraction(level) {
+    const max = SUM_MAX[level - 1];
+    const a = between(0, max);
+    const b = between(0, level >= 4 ? max : a); // Negative results from level 4
+    return { text: `${a} - ${b} = ?`, answer: a - b };
+}
+
+function multiplication(level) {
+    const max = FACTOR_MAX[level - 1];
+    const a = between(0, max);
+    const b = between(level === 1 ? 0 : 2, max);
+    return { text: `${a} × ${b} = ?`, answer: a * b };
+}
+
+// Always divides evenly
+function division(level) {
+    const max = FACTOR_MAX[level - 1];
+    const divisor = between(1, max);
+    const quotient = between(0, max);
+    return { text: `${divisor * quotient} ÷ ${divisor} = ?`, answer: quotient };
+}
+
+function fractions(level) {
+    const denominators = DENOMINATORS[level - 1];
+    if (level <= 2) {
+        // "1/2 of 10": whole-number answers
+        const d = pick(denominators);
+        const n = between(1, d - 1);
+        const whole = d * between(1, 5 * level);
+        return { text: `${n}/${d} of ${whole} = ?`, answer: (whole / d) * n };
+    }
+    const d1 = pick(denominators);
+    const d2 = pick(denominators);
+    const n1 = between(1, d1 - 1);
+    const n2 = between(1, d2 - 1);
+    const numerator = n1 * d2 + n2 * d1;
+    const denominator = d1 * d2;
+    const divisor = gcd(numerator, denominator);
+    return {
+        text: `${n1}/${d1} + ${n2}/${d2} = ? (as a fraction)`,
+        answer: numerator / denominator,
+        display: `${numerator / divisor}/${denominator / divisor}`,
+        tolerance: 0.005 // Decimals rounded to 2 places are fine too
+    };
+}
+
+const NAMES = ['Ana', 'Ben', 'Chen', 'Dara', 'Eli', 'Fatima', 'Gus', 'Hana'];
+const WORD_PROBLEMS = [
+    (level, name) => {
+        const a = between(2, SUM_MAX[level - 1]);
+        const b = between(1, SUM_MAX[level - 1]);
+        return { text: `${name} has ${a} coins and earns ${b} more in the arena. How many coins does ${name} have now?`, answer: a + b };
+    },
+    (level, name) => {
+        const a = between(2, SUM_MAX[level - 1]);
+        const b = between(1, a);
+        return { text: `${name} has ${a} coins and spends ${b} at the weapon store. How many coins are left?`, answer: a - b };
+    },
+    (level, name) => {
+        const houses = between(2, FACTOR_MAX[level - 1]);
+        const chairs = between(2, FACTOR_MAX[level - 1]);
+        return { text: `${name} puts ${chairs} chairs in each of ${houses} houses. How many chairs is that?`, answer: houses * chairs };
+    },
+    (level, name) => {
+        const friends = between(2, FACTOR_MAX[level - 1]);
+        const each = between(1, FACTOR_MAX[level - 1]);
+        return { text: `${name} shares ${friends * each} coins equally between ${friends} friends. How many coins does each friend get?`, answer: each };
+    }
+];
+
+function wordProblem(level) {
+    return pick(WORD_PROBLEMS)(level, pick(NAMES));
+}
+
+export const SUBJECTS = {
+    addition: { name: 'Addition', generate: addition },
+    subtraction: { name: 'Subtraction', generate: subtraction },
+    multiplication: { name: 'Multiplication', generate: multiplication },
+    division: { name: 'Division', generate: division },
+    fractions: { name: 'Fractions', generate: fractions },
+    word: { name: 'Word Problems', generate: wordProblem }
+};
+
+export function isSubject(id) {
+    return Object.prototype.hasOwnProperty.call(SUBJECTS, id);
+}
+
+// 'mixed' (or anything unknown) picks a random subject
+export function generateQuestion(subject, level) {
+    const id = isSubject(subject) ? subject : pick(Object.keys(SUBJECTS));
+    const clampedLevel = Math.max(1, Math.min(MAX_LEVEL, level || 1));
+    return { subject: id, level: clampedLevel, ...SUBJECTS[id].generate(clampedLevel) };
+}
+
+// "12", "-3", "0.75" or "3/4" -> number (NaN when it isn't one)
+export function parseAnswer(input) {
+    const text = String(input ?? '').trim();
+    const fraction = text.match(/^(-?\d+)\s*\/\s*(\d+)$/);
+    if (fraction) return Number(fraction[2]) === 0 ? NaN : Number(fraction[1]) / Number(fraction[2]);
+    if (!/^-?\d+(\.\d+)?$/.test(text)) return NaN;
+    return Number(text);
+}
+
+// Free-text answers: case and spacing don't matter
+export function normalizeText(text) {
+    return String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Works for generated questions and question bank ones (choice / text / numeric)
+export function isCorrect(question, input) {
+    if (question.type === 'choice') return String(input).trim() !== '' && Number(input) === question.answer;
+    if (question.type === 'text') return question.answers.includes(normalizeText(input));
+
+    const value = parseAnswer(input);
+    if (Number.isNaN(value)) return false;
+    return Math.abs(value - question.answer) <= (question.tolerance || 1e-9);
+}
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { recordStats } from './stats.js';
+
+// All money changes go through here. Balances are only ever changed with $inc on the
+// user document (debits are conditional on `money >= amount`), so two purchases racing
+// each other can't both spend the same coins. Every change is recorded in the ledger
+// with the reason and what it was for (item id, plot id, ...).
+
+export const REASONS = {
+    ITEM_PURCHASE: 'item_purchase',
+    ITEM_SALE: 'item_sale',
+    FURNITURE_PURCHASE: 'furniture_purchase',
+    HOUSE_PURCHASE: 'house_purchase',
+    HOUSE_SALE: 'house_sale',
+    QUIZ_REWARD: 'quiz_reward',
+    KILL_REWARD: 'kill_reward',
+    CLASS_PRIZE: 'class_prize',
+    MATCH_REWARD: 'match_reward',
+    REFUND: 'refund'
+};
+
+// Credits that count as coins earned on the leaderboards (not refunds or sales)
+const EARNINGS = [REASONS.QUIZ_REWARD, REASONS.KILL_REWARD, REASONS.CLASS_PRIZE, REASONS.MATCH_REWARD];
+
+const HISTORY_LIMIT = 50;
+
+let usersCol, ledgerCol;
+
+export function initEconomy(users, ledger) {
+    usersCol = users;
+    ledgerCol = ledger;
+}
+
+async function record(username, amount, balance, reason, ref) {
+    await ledgerCol.insertOne({
+        id: crypto.randomUUID(),
+        username,
+        amount, // Signed: negative for debits
+        balance, // Balance right after this change
+        reason,
+        ref: ref ?? null,
+        createdAt: new Date()
+    });
+}
+
+// Takes `amount` coins if (and only if) the user has them.
+// Returns the new balance, or null when the balance is too low.
+export async function debit(username, amount, reason, ref) {
+    if (!Number.isInteger(amount) || amount < 0) throw new Error(`Invalid debit amount: ${amount}`);
+
+    const user = await usersCol.findOneAndUpdate(
+        { username, money: { $gte: amount } },
+        { $inc: { money: -amount } },
+        { returnDocument: 'after' }
+    );
+    if (!user) return null;
+
+    await record(username, -amount, user.money, reason, ref);
+    return user.money;
+}
+
+// Returns the new balance (null if the user doesn't exist)
+export async function credit(username, amount, reason, ref) {
+    if (!Number.isInteger(amount) || amount < 0) throw new Error(`Invalid credit amount: ${amount}`);
+
+    const user = await usersCol.findOneAndUpdate(
+        { username },
+        { $inc: { money: amount } },
+        { returnDocument: 'after' }
+    );
+    if (!user) return null;
+
+    await record(username, amount, user.money, reason, ref);
+    if (EARNINGS.includes(reason)) await recordStats(username, { coinsEarned: amount });
+    return user.money;
+}
+
+// Most recent ledger entries first
+export async function getHistory(username, limit = HISTORY_LIMIT) {
+    const entries = await ledgerCol.find({ username })
+        .sort({ createdAt: -1 })
+        .limit(Math.min(limit, HISTORY_LIMIT))
+        .toArray();
+    return entries.map(({ amount, balance, reason, ref, createdAt }) => ({ amount, balance, reason, ref, createdAt }));
+}
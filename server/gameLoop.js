@@ -0,0 +1,83 @@
+// Fixed-tick server loop: runs simulation systems, then broadcasts one snapshot per
+// district room instead of relaying every movement packet as it arrives.
+export const TICK_RATE = 20; // Hz
+export const TICK_INTERVAL = 1000 / TICK_RATE;
+
+// Fields that change often enough to travel in snapshots; everything else
+// still goes out through the dedicated events (newPlayer, playerUpdate...).
+// inputSeq acknowledges the owner's movement inputs (see movement.js).
+const SNAPSHOT_FIELDS = ['x', 'y', 'state', 'hp', 'maxHp', 'inputSeq'];
+const KEYFRAME_EVERY = TICK_RATE * 5; // Full state every 5s, deltas in between
+
+// playerId -> { district, values } last values broadcast for that player
+const lastSent = new Map();
+
+function quantize(field, value) {
+    if ((field === 'x' || field === 'y') && typeof value === 'number') {
+        return Math.round(value * 10) / 10;
+    }
+    return value;
+}
+
+// Only the fields that changed since the last snapshot for this room (all of them on a keyframe)
+function diffPlayer(player, full) {
+    const previous = lastSent.get(player.playerId);
+    const known = previous && previous.district === player.district && !full;
+
+    const values = {};
+    const delta = { id: player.playerId };
+    let changed = false;
+    SNAPSHOT_FIELDS.forEach(field => {
+        const value = quantize(field, player[field]);
+        values[field] = value;
+        if (!known || previous.values[field] !== value) {
+            delta[field] = value;
+            changed = true;
+        }
+    });
+
+    lastSent.set(player.playerId, { district: player.district, values });
+    return changed ? delta : null;
+}
+
+// systems: functions (dt, now) run every tick before the snapshot (projectiles, matches...)
+export function startGameLoop(io, players, systems = []) {
+    let tick = 0;
+    let lastTickAt = Date.now();
+
+    const interval = setInterval(() => {
+        const now = Date.now();
+        const dt = now - lastTickAt;
+        lastTickAt = now;
+        tick++;
+
+        systems.forEach(system => {
+            try {
+                system(dt, now);
+            } catch (e) {
+                console.error("Game loop system error:", e);
+            }
+        });
+
+        const full = tick % KEYFRAME_EVERY === 0;
+        const rooms = {};
+        Object.values(players).forEach(player => {
+            if (!player.district) return;
+            const delta = diffPlayer(player, full);
+            if (!delta) return;
+            if (!rooms[player.district]) rooms[player.district] = [];
+            rooms[player.district].push(delta);
+        });
+
+        Object.entries(rooms).forEach(([room, deltas]) => {
+            io.to(room).emit('snapshot', { tick, t: now, full, players: deltas });
+        });
+
+        // Forget players that are gone
+        lastSent.forEach((_, id) => {
+            if (!players[id]) lastSent.delete(id);
+        });
+    }, TICK_INTERVAL);
+
+    return () => clearInterval(interval);
+}
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { getFurnitureType, ROTATIONS, furnitureRect, rectsOverlap } from '../shared/furniture.js';
+
+// House interiors. Every owned plot's house is its own room ("house_<plotId>") laid out
+// from one of the interior layouts in initial_data/house_interiors.json (the house's
+// `interior`, or the default). The outer walls are generated around the layout and the
+// door in the bottom wall leads back out to the plot. Furniture positions are in the
+// interior's coordinates; placementError() keeps pieces inside the walls, off each other
+// and out of the way of the door.
+
+export const HOUSE_ROOM_PREFIX = 'house_';
+const WALL_THICKNESS = 20;
+const DOOR_WIDTH = 60;
+const DOOR_CLEARANCE = 50; // Free floor in front of the door
+export const MAX_FURNITURE = 40;
+
+let layouts = {};
+let defaultLayout = null;
+
+export function loadInteriors(file) {
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        layouts = data.layouts || {};
+        defaultLayout = data.default in layouts ? data.default : Object.keys(layouts)[0] || null;
+    } catch (e) {
+        console.error("Could not load house interiors", e);
+    }
+}
+
+export function houseRoom(plotId) {
+    return `${HOUSE_ROOM_PREFIX}${plotId}`;
+}
+
+// Plot id of a house room, or null for any other room
+export function plotIdFromRoom(room) {
+    return typeof room === 'string' && room.startsWith(HOUSE_ROOM_PREFIX) ? room.slice(HOUSE_ROOM_PREFIX.length) : null;
+}
+
+function outerWalls(width, height) {
+    const t = WALL_THICKNESS;
+    return [
+        { x: 0, y: 0, width, height: t },
+        { x: 0, y: height - t, width, height: t },
+        { x: 0, y: 0, width: t, height },
+        { x: width - t, y: 0, width: t, height }
+    ];
+}
+
+// District definition for the house's room (loadRoomDistrict)
+export function interiorFor(house) {
+    const layout = layouts[house.interior] || layouts[defaultLayout] || {};
+    const width = layout.width || 600;
+    const height = layout.height || 400;
+    const door = { x: width / 2 - DOOR_WIDTH / 2, y: height - WALL_THICKNESS, width: DOOR_WIDTH, height: WALL_THICKNESS };
+
+    return {
+        name: `${house.owner}'s ${layout.name || 'House'}`,
+        houseId: house.id,
+        owner: house.owner,
+        width,
+        height,
+        floor: layout.floor || '#8b6b4a',
+        wall: layout.wall || '#5a3d2b',
+        spawn: { x: width / 2, y: door.y - 30 },
+        exits: {},
+        obstacles: [...outerWalls(width, height), ...(layout.obstacles || [])],
+        interactables: [{
+            id: 'door',
+            kind: 'door',
+            action: 'leaveHouse',
+            label: 'EXIT',
+            prompt: '[E] Leave House',
+            promptOffset: 30,
+            ...door,
+            radius: 50
+        }]
+    };
+}
+
+// Who may come in. The owner always; banned players never; otherwise the access mode
+// decides, and guests on the list get in unless the house is locked. Friends are the
+// owner's friend list (on their user record). Stored on the house as `access`.
+export const ACCESS_MODES = ['public', 'friends', 'guests', 'locked'];
+export const DEFAULT_ACCESS = 'public';
+
+export function houseAccess(house) {
+    const access = house.access || {};
+    return {
+        mode: ACCESS_MODES.includes(access.mode) ? access.mode : DEFAULT_ACCESS,
+        guests: access.guests || [],
+        banned: access.banned || []
+    };
+}
+
+// Why the user can't come in, or null if they can
+export function entryError(house, username, ownerFriends = []) {
+    if (username === house.owner) return null;
+    const { mode, guests, banned } = houseAccess(house);
+    if (banned.includes(username)) return 'banned';
+    if (mode === 'locked') return 'locked';
+    if (mode === 'public' || guests.includes(username)) return null;
+    if (mode === 'friends' && ownerFriends.includes(username)) return null;
+    return mode === 'friends' ? 'friends_only' : 'guests_only';
+}
+
+// The market. Owners can list a house at their own price (`listPrice`, null when not for
+// sale), take offers (`offers`, one per bidder) or sell back to the city for a fraction of
+// what the plot costs new (cityBuybackPrice in shared/houses.js). A house changes hands
+// furnished, with the access settings, listing and offers reset.
+export const MAX_HOUSE_PRICE = 1000000;
+export const MAX_OFFERS = 20;
+
+export function validHousePrice(amount) {
+    return Number.isInteger(amount) && amount > 0 && amount <= MAX_HOUSE_PRICE;
+}
+
+// The fields a house is reset to for its next owner (null: back on the city's market)
+export function newOwnerFields(owner) {
+    return { owner, listPrice: null, offers: [], access: null };
+}
+
+const pendingEdits = new Map(); // houseId -> last queued edit
+
+// House edits (furniture, market) read, check and rewrite the house, so each house's run
+// one at a time
+export function queueHouseEdit(houseId, edit) {
+    const next = (pendingEdits.get(houseId) || Promise.resolve())
+        .then(edit)
+        .catch(e => console.error("House edit failed", e));
+    pendingEdits.set(houseId, next);
+    next.then(() => {
+        if (pendingEdits.get(houseId) === next) pendingEdits.delete(houseId);
+    });
+    return next;
+}
+
+export function createFurniture({ type, x, y, rotation = 0 }) {
+    const def = getFurnitureType(type);
+    return {
+        id: crypto.randomUUID(),
+        type,
+        color: def ? def.color : null,
+        x: Math.round(x),
+        y: Math.round(y),
+        rotation
+    };
+}
+
+// Pieces saved before furniture had ids get one (and no rotation)
+export function normalizeFurniture(furniture = []) {
+    return furniture.map(item => ({ rotation: 0, ...item, id: item.id || crypto.randomUUID() }));
+}
+
+// Why the piece can't go where it is, or null if it can. `ignoreId` is the piece being
+// moved, which doesn't get in its own way.
+export function placementError(house, item, ignoreId = null) {
+    if (!getFurnitureType(item.type)) return 'unknown_type';
+    if (!Number.isFinite(item.x) || !Number.isFinite(item.y)) return 'invalid_position';
+    if (!ROTATIONS.includes(item.rotation)) return 'invalid_rotation';
+
+    const interior = interiorFor(house);
+    const rect = furnitureRect(item);
+    if (rect.x < 0 || rect.y < 0 || rect.x + rect.width > interior.width || rect.y + rect.height > interior.height) return 'out_of_bounds';
+    if (interior.obstacles.some(obstacle => rectsOverlap(rect, obstacle))) return 'blocked';
+
+    const door = interior.interactables.find(obj => obj.kind === 'door');
+    const doorway = { x: door.x, y: door.y - DOOR_CLEARANCE, width: door.width, height: door.height + DOOR_CLEARANCE };
+    if (rectsOverlap(rect, doorway)) return 'blocks_door';
+
+    const others = (house.furniture || []).filter(other => other.id !== ignoreId);
+    if (others.some(other => rectsOverlap(rect, furnitureRect(other)))) return 'overlap';
+    return null;
+}
@@ -3,8 +3,32 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { MongoClient } from 'mongodb';
+import { hashPassword, verifyPassword, needsRehash, createSessionToken, readSessionToken, isAdmin } from './auth.js';
+import { applyInputs, clearMovement, validSpawn } from './movement.js';
+import { startGameLoop } from './gameLoop.js';
+import { initEconomy, debit, credit, getHistory, REASONS } from './economy.js';
+import { clearQuiz, checkRewardLimit, issueQuestion, answerQuestion, normalizeProgress, recordAnswer, rewardFor } from './quiz.js';
+import { SUBJECTS } from './curriculum.js';
+import { initStats, recordStats, getUserStats, topByCounter, computeHoldings, topByHoldings, WINDOWS, LEADERBOARD_STATS, MAX_LEADERBOARD_SIZE } from './stats.js';
+import { MODES, getMatch, leaveMatch, canFight, recordKill, updateMatches, matchState } from './matches.js';
+import { enqueue, leaveQueue, updateMatchmaking } from './matchmaking.js';
+import { clearRespawn, pickSpawnPoint, scheduleRespawn, protect, isProtected, dropProtection, updateRespawns } from './respawn.js';
+import { startClassSession, submitClassAnswer, updateClassSessions, getClassSession, classSessionState } from './classSession.js';
+import { initQuestionBanks, importBank, setBankEnabled, listBanks, bankSubjects } from './questionBanks.js';
+import { normalizeInventory, ownsItem, canBuyItem, addItem, removeItem, sellPrice } from './inventory.js';
+import {
+    UNARMED, MELEE_ARC, checkCooldown, recordAttack, clearCombat,
+    meleeTargets, healTargets, spawnProjectile, updateProjectiles, updateHazards
+} from './combat.js';
+import { loadBattleMaps, getBattleMap } from './battleMaps.js';
+import { loadInteriors, houseRoom, plotIdFromRoom, interiorFor, createFurniture, normalizeFurniture, placementError, queueHouseEdit, MAX_FURNITURE, ACCESS_MODES, houseAccess, entryError,
+    MAX_OFFERS, validHousePrice, newOwnerFields } from './houses.js';
+import { cityBuybackPrice } from '../shared/houses.js';
+import { loadFurnitureCatalog, getFurnitureCatalog, getFurnitureType, nextRotation } from '../shared/furniture.js';
+import { loadWorld, loadRoomDistrict, isDistrict, getDistrict, isBattleRoom, BATTLE_DISTRICT, centerOf, exitArrival, PLAYER_RADIUS } from '../shared/world.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,11 +43,27 @@ const io = new Server(httpServer, {
 });
 
 app.use(express.static(path.join(__dirname, '../dist')));
+app.use(express.json({ limit: '1mb' }));
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }));
+
+// District layout (size, exits, obstacles, interactables, music), shared with the client on login
+const worldDefinition = JSON.parse(fs.readFileSync(path.join(__dirname, 'initial_data', 'world.json'), 'utf8'));
+const world = loadWorld(worldDefinition);
+
+// The arena itself (outside of any match) is on its own battle map
+loadBattleMaps(path.join(__dirname, 'initial_data', 'battle_maps'));
+const arenaMap = getBattleMap(getDistrict(BATTLE_DISTRICT).battleMap);
+if (arenaMap) loadRoomDistrict(BATTLE_DISTRICT, arenaMap);
+loadInteriors(path.join(__dirname, 'initial_data', 'house_interiors.json'));
+
+// How close to an exit edge the server has to have a player to take them through it
+// (the client's predicted position can be a step or two ahead)
+const EXIT_MARGIN = PLAYER_RADIUS * 2;
 
 // MongoDB Setup
 const MONGO_URL = process.env.MONGODB_URL || 'mongodb://localhost:27017/world-of-districts';
 const client = new MongoClient(MONGO_URL);
-let db, usersCol, housesCol, itemsCol;
+let db, usersCol, housesCol, itemsCol, furnitureCol, sessionsCol, ledgerCol, questionBanksCol, statsCol;
 
 async function initDB() {
     try {
@@ -34,32 +74,99 @@ async function initDB() {
         usersCol = db.collection('users');
         housesCol = db.collection('houses');
         itemsCol = db.collection('items');
+        furnitureCol = db.collection('furniture');
+        sessionsCol = db.collection('sessions');
+        ledgerCol = db.collection('ledger');
+        questionBanksCol = db.collection('questionBanks');
+        statsCol = db.collection('stats');
     } catch (err) {
         console.error("MongoDB Connection Error, using in-memory mock:", err);
         // Mock DB implementation
         const memoryDB = {
             users: [],
             houses: [],
-            items: []
+            items: [],
+            furniture: [],
+            sessions: [],
+            ledger: [],
+            questionBanks: [],
+            stats: []
         };
+        // Just enough of the query language for this server: equality (null also matches
+        // a missing field) and $gte/$gt/$lte/$lt/$ne
+        const matchValue = (value, condition) => {
+            if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+                return Object.entries(condition).every(([op, arg]) => {
+                    if (op === '$gte') return value >= arg;
+                    if (op === '$gt') return value > arg;
+                    if (op === '$lte') return value <= arg;
+                    if (op === '$lt') return value < arg;
+                    if (op === '$ne') return value !== arg;
+                    return false;
+                });
+            }
+            if (condition === null) return value === null || value === undefined;
+            return value === condition;
+        };
+        const matches = (doc, query = {}) => Object.keys(query).every(k => matchValue(doc[k], query[k]));
+        const applyUpdate = (doc, update) => {
+            if (update.$set) Object.assign(doc, update.$set);
+            if (update.$inc) {
+                for (const [k, v] of Object.entries(update.$inc)) doc[k] = (doc[k] || 0) + v;
+            }
+            if (update.$push) {
+                for (const [k, v] of Object.entries(update.$push)) {
+                    if (!doc[k]) doc[k] = [];
+                    doc[k].push(v);
+                }
+            }
+        };
+        const createCursor = (docs) => ({
+            sort: (spec) => {
+                const [[field, dir]] = Object.entries(spec);
+                return createCursor([...docs].sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * dir));
+            },
+            limit: (n) => createCursor(docs.slice(0, n)),
+            toArray: async () => docs
+        });
         const createMockCol = (name) => ({
-            findOne: async (query) => memoryDB[name].find(doc => Object.keys(query).every(k => doc[k] === query[k])),
-            find: () => ({ toArray: async () => memoryDB[name] }),
+            findOne: async (query) => memoryDB[name].find(doc => matches(doc, query)),
+            find: (query) => createCursor(memoryDB[name].filter(doc => matches(doc, query))),
             insertOne: async (doc) => {
                 memoryDB[name].push(doc);
                 return { insertedId: memoryDB[name].length - 1 }; // Mock insertedId
             },
-            updateOne: async (query, update) => {
-                const doc = memoryDB[name].find(doc => Object.keys(query).every(k => doc[k] === query[k]));
-                if (doc) {
-                    if (update.$set) Object.assign(doc, update.$set);
-                    if (update.$push) {
-                        for (const [k, v] of Object.entries(update.$push)) {
-                            if (!doc[k]) doc[k] = [];
-                            doc[k].push(v);
-                        }
-                    }
+            updateOne: async (query, update, options = {}) => {
+                let doc = memoryDB[name].find(doc => matches(doc, query));
+                if (!doc && options.upsert) {
+                    // New document from the plain equality fields of the query
+                    doc = {};
+                    Object.entries(query).forEach(([k, v]) => {
+                        if (v === null || typeof v !== 'object') doc[k] = v;
+                    });
+                    memoryDB[name].push(doc);
+                    applyUpdate(doc, update);
+                    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
                 }
+                if (doc) applyUpdate(doc, update);
+                return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+            },
+            updateMany: async (query, update) => {
+                memoryDB[name]
+                    .filter(doc => matches(doc, query))
+                    .forEach(doc => applyUpdate(doc, update));
+            },
+            // Always returns the document after the update (returnDocument: 'after')
+            findOneAndUpdate: async (query, update) => {
+                const doc = memoryDB[name].find(doc => matches(doc, query));
+                if (!doc) return null;
+                applyUpdate(doc, update);
+                return { ...doc };
+            },
+            deleteMany: async (query) => {
+                const before = memoryDB[name].length;
+                memoryDB[name] = memoryDB[name].filter(doc => !matches(doc, query));
+                return { deletedCount: before - memoryDB[name].length };
             },
             countDocuments: async () => memoryDB[name].length,
             insertMany: async (docs) => memoryDB[name].push(...docs)
@@ -67,7 +174,15 @@ async function initDB() {
         usersCol = createMockCol('users');
         housesCol = createMockCol('houses');
         itemsCol = createMockCol('items');
+        furnitureCol = createMockCol('furniture');
+        sessionsCol = createMockCol('sessions');
+        ledgerCol = createMockCol('ledger');
+        questionBanksCol = createMockCol('questionBanks');
+        statsCol = createMockCol('stats');
     }
+    initEconomy(usersCol, ledgerCol);
+    initStats(statsCol);
+    await initQuestionBanks(questionBanksCol, path.join(__dirname, 'initial_data', 'question_banks'));
 
     // Initial Data Check & Migration
     const itemsCount = await itemsCol.countDocuments();
@@ -79,6 +194,16 @@ async function initDB() {
         } catch (e) { console.error("Could not load initial items", e); }
     }
 
+    const furnitureCount = await furnitureCol.countDocuments();
+    if (furnitureCount === 0) {
+        console.log("Initializing furniture catalog...");
+        try {
+            const initialFurniture = JSON.parse(fs.readFileSync(path.join(__dirname, 'initial_data', 'furniture.json'), 'utf8'));
+            await furnitureCol.insertMany(initialFurniture);
+        } catch (e) { console.error("Could not load initial furniture", e); }
+    }
+    loadFurnitureCatalog(await furnitureCol.find().toArray());
+
     const housesCount = await housesCol.countDocuments();
     if (housesCount === 0) {
         console.log("Initializing houses...");
@@ -89,6 +214,13 @@ async function initDB() {
         } catch (e) { console.error("Could not load initial houses", e); }
     }
 
+    // Furniture saved before pieces had ids
+    for (const house of await housesCol.find().toArray()) {
+        if ((house.furniture || []).some(item => !item.id)) {
+            await housesCol.updateOne({ id: house.id }, { $set: { furniture: normalizeFurniture(house.furniture) } });
+        }
+    }
+
     // We don't necessarily need to pre-populate users, but we could migrate existing ones
     // if they existed in initial_data/users.json and were not in DB yet.
 }
@@ -96,37 +228,457 @@ async function initDB() {
 // Global variables for active state (Syncing from DB)
 const players = {};
 const socketUserMap = {};
-const DISTRICTS = ['plaza', 'housing', 'arena', 'school', 'arena_battle', 'brawl_stars'];
+const socketSessionMap = {}; // socket.id -> session id
+
+// The live (signed, unexpired, unrevoked) session a token belongs to, or null
+async function findSession(token) {
+    const payload = readSessionToken(token);
+    const session = payload && await sessionsCol.findOne({ id: payload.sid });
+    if (!session || session.revoked || session.username !== payload.username || session.expiresAt <= Date.now()) {
+        return null;
+    }
+    return session;
+}
+
+// Admin HTTP API: "Authorization: Bearer <session token>" of a user with role "admin"
+async function requireAdmin(req, res, next) {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const session = await findSession(token);
+    const user = session && await usersCol.findOne({ username: session.username });
+    if (!user) return res.status(401).json({ error: "Not logged in" });
+    if (!isAdmin(user)) return res.status(403).json({ error: "Admins only" });
+    next();
+}
+
+// Quiz subjects: the generated curriculum plus every enabled question bank
+function quizSubjects() {
+    return [
+        ...Object.entries(SUBJECTS).map(([id, subject]) => ({ id, name: subject.name })),
+        ...bankSubjects()
+    ];
+}
+
+// Holdings take every user and house (and the route is public): share one computation
+// between requests for HOLDINGS_CACHE_MS
+const HOLDINGS_CACHE_MS = 30000;
+let holdingsCache = null; // { at, promise }
+
+function currentHoldings() {
+    if (!holdingsCache || Date.now() - holdingsCache.at > HOLDINGS_CACHE_MS) {
+        const promise = Promise.all([
+            usersCol.find({}, { projection: { username: 1, money: 1, inventory: 1, furnitureInventory: 1 } }).toArray(),
+            housesCol.find().toArray(),
+            itemsCol.find().toArray()
+        ]).then(([users, houses, items]) => computeHoldings(users, houses, items, getFurnitureCatalog()));
+        holdingsCache = { at: Date.now(), promise };
+        // Don't keep serving a failed read
+        promise.catch(() => {
+            if (holdingsCache && holdingsCache.promise === promise) holdingsCache = null;
+        });
+    }
+    return holdingsCache.promise;
+}
+
+// Leaderboards: /api/leaderboard?stat=kills&window=weekly&limit=10
+// netWorth and housesOwned are what players hold right now, so they ignore the window
+app.get('/api/leaderboard', async (req, res) => {
+    const stat = req.query.stat || 'netWorth';
+    const window = req.query.window || 'all';
+    const limit = Math.max(1, Math.min(MAX_LEADERBOARD_SIZE, parseInt(req.query.limit) || 10));
+    if (!LEADERBOARD_STATS.includes(stat)) return res.status(400).json({ error: `stat must be one of ${LEADERBOARD_STATS.join(', ')}` });
+    if (!WINDOWS.includes(window)) return res.status(400).json({ error: `window must be one of ${WINDOWS.join(', ')}` });
+
+    let entries;
+    if (stat === 'netWorth' || stat === 'housesOwned') {
+        entries = topByHoldings(stat, await currentHoldings(), limit);
+    } else {
+        entries = await topByCounter(stat, window, limit);
+    }
+
+    res.json({
+        stat,
+        window: stat === 'netWorth' || stat === 'housesOwned' ? 'all' : window,
+        entries: entries.map((entry, i) => ({ rank: i + 1, ...entry }))
+    });
+});
+
+app.get('/api/admin/question-banks', requireAdmin, (req, res) => {
+    res.json(listBanks());
+});
+
+// JSON body: a bank object. CSV body (Content-Type: text/csv): questions, with the bank
+// id/name/level in the query string. Importing an existing id replaces that bank.
+app.post('/api/admin/question-banks', requireAdmin, async (req, res) => {
+    const isCsv = req.is('text/csv') || req.is('text/plain');
+    const meta = { source: 'import' };
+    ['id', 'name', 'level'].forEach(key => {
+        if (req.query[key] !== undefined) meta[key] = req.query[key];
+    });
+
+    try {
+        const bank = await importBank(req.body, isCsv ? 'csv' : 'json', meta);
+        io.emit('quizSubjects', quizSubjects());
+        res.status(201).json({ id: bank.id, name: bank.name, questionCount: bank.questions.length });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+app.post('/api/admin/question-banks/:id/enable', requireAdmin, async (req, res) => {
+    const bank = await setBankEnabled(req.params.id, true);
+    if (!bank) return res.status(404).json({ error: "Unknown bank" });
+    io.emit('quizSubjects', quizSubjects());
+    res.json({ id: bank.id, enabled: bank.enabled });
+});
+
+app.post('/api/admin/question-banks/:id/disable', requireAdmin, async (req, res) => {
+    const bank = await setBankEnabled(req.params.id, false);
+    if (!bank) return res.status(404).json({ error: "Unknown bank" });
+    io.emit('quizSubjects', quizSubjects());
+    res.json({ id: bank.id, enabled: bank.enabled });
+});
+
+// Damage from any source (melee swing, projectile); handles the kill when hp runs out
+async function applyDamage(attacker, target, damage) {
+    if (!attacker || target.hp <= 0 || !canFight(attacker, target) || isProtected(target.playerId)) return;
+
+    target.hp = Math.max(0, target.hp - damage);
+    io.to(target.district).emit('playerHit', { targetId: target.playerId, hp: target.hp, attackerId: attacker.playerId });
+    if (target.hp <= 0) await handleKill(target, attacker);
+}
+
+// Battle map hazards only hurt while the match is on, like any other damage
+function applyHazardDamage(target, hazard) {
+    if (!canFight(target) || isProtected(target.playerId)) return;
+
+    target.hp = Math.max(0, target.hp - hazard.damage);
+    io.to(target.district).emit('playerHit', { targetId: target.playerId, hp: target.hp, attackerId: null });
+    if (target.hp <= 0) handleKill(target, null, hazard.name || 'hazard').catch(e => console.error("Hazard kill error:", e));
+}
+
+// killer is null when the map itself did it (cause: "lava"...)
+async function handleKill(target, killer, cause = null) {
+    // Stays down (hp 0) until the respawn timer is up, or the round is over in last-man-standing
+    const room = target.district;
+    const { respawn, ended } = recordKill(killer || target, target);
+    io.to(target.playerId).emit('playerDied', {
+        killerId: killer ? killer.playerId : null,
+        killerName: killer ? killer.username : cause,
+        killerColor: killer ? killer.color : '#ff6600',
+        respawnIn: respawn ? scheduleRespawn(target.playerId) : null
+    });
+
+    io.to(room).emit('chatMessage', {
+        id: 'SYSTEM',
+        text: killer ? `${killer.username} eliminated ${target.username}! +50 Coins` : `${target.username} was taken out by the ${cause}!`,
+        color: '#ffaa00'
+    });
+
+    const match = getMatch(room);
+    if (ended) await finishMatch(match, ended);
+    if (match) io.to(room).emit('matchUpdate', matchState(match));
+
+    await recordStats(target.username, { deaths: 1 });
+    if (killer) {
+        const balance = await credit(killer.username, 50, REASONS.KILL_REWARD, target.username);
+        if (balance !== null) {
+            killer.money = balance;
+            io.to(killer.playerId).emit('updateMoney', balance);
+        }
+        await recordStats(killer.username, { kills: 1 });
+    }
+}
+
+// Back at full health at a spawn point away from enemies, briefly protected
+function respawnPlayer(player) {
+    if (!isBattleRoom(player.district)) return; // Left while dead
+    clearRespawn(player.playerId);
+    player.hp = player.maxHp || 100;
+    Object.assign(player, pickSpawnPoint(player, player.district, players));
+    io.to(player.district).emit('playerUpdate', {
+        playerId: player.playerId,
+        hp: player.hp,
+        x: player.x,
+        y: player.y,
+        spawnProtection: protect(player.playerId)
+    });
+    io.to(player.playerId).emit('playerRespawned');
+}
+
+// Everyone in a match that's about to start respawns for it
+function startMatch(match) {
+    match.participants.forEach(({ playerId }) => {
+        if (players[playerId]) respawnPlayer(players[playerId]);
+    });
+    io.to(match.room).emit('chatMessage', { id: 'SYSTEM', text: `${MODES[match.mode].name} has started. Fight!`, color: '#ffaa00' });
+}
+
+// Pays out the match rewards (to offline players too) and announces the winner
+async function finishMatch(match, results) {
+    for (const standing of results.standings) {
+        if (!standing.prize) continue;
+        const balance = await credit(standing.username, standing.prize, REASONS.MATCH_REWARD, match.mode);
+        const player = Object.values(players).find(p => p.username === standing.username);
+        if (player && balance !== null) {
+            player.money = balance;
+            io.to(player.playerId).emit('updateMoney', balance);
+        }
+    }
+
+    const winner = results.winner
+        ? (MODES[match.mode].teams ? `Team ${results.winner.toUpperCase()} wins!` : `${results.winner} wins!`)
+        : 'It\'s a draw!';
+    io.to(match.room).emit('chatMessage', { id: 'SYSTEM', text: `Match over: ${winner}`, color: '#ffaa00' });
+}
+
+// Class session prizes go to the winners whether or not they're still online
+async function payClassPrizes(session, results) {
+    for (const result of results) {
+        if (!result.prize) continue;
+        const balance = await credit(result.username, result.prize, REASONS.CLASS_PRIZE, session.district);
+        const winner = Object.values(players).find(p => p.username === result.username);
+        if (winner && balance !== null) {
+            winner.money = balance;
+            io.to(winner.playerId).emit('updateMoney', balance);
+        }
+    }
+
+    const podium = results.filter(r => r.prize).map(r => `${r.username} (+${r.prize})`).join(', ');
+    io.to(session.district).emit('chatMessage', {
+        id: 'SYSTEM',
+        text: podium ? `Class dismissed! Winners: ${podium}` : 'Class dismissed!',
+        color: '#ffff00'
+    });
+}
+
+// Battle rooms are drawn and simulated from whatever map they are on right now
+function sendBattleMap(socket, room) {
+    if (isBattleRoom(room)) socket.emit('battleMap', { room, map: getDistrict(room) });
+}
+
+function sendClassSession(socket, district) {
+    const session = getClassSession(district);
+    if (session) socket.emit('classSessionUpdate', classSessionState(session));
+}
+
+// Out of the match and back to being a regular player: hp, team and mode only exist in battle rooms
+function leaveBattle(player) {
+    const room = player.district;
+    clearRespawn(player.playerId);
+    leaveMatch(room, player.playerId);
+    delete player.hp;
+    delete player.maxHp;
+    delete player.mode;
+    delete player.team;
+
+    const match = getMatch(room);
+    if (match) io.to(room).emit('matchUpdate', matchState(match));
+}
+
+// Where players come out of a battle: just in front of the battle gate
+function battleExit() {
+    for (const district of Object.values(world.districts)) {
+        const gate = district.interactables.find(obj => obj.action === 'openBattleSetup');
+        if (gate) {
+            const pos = { x: centerOf(gate).x, y: gate.y + gate.height + PLAYER_RADIUS * 2 };
+            return { district: district.id, pos: validSpawn(district.id, pos) };
+        }
+    }
+    return { district: world.defaultDistrict, pos: null };
+}
+
+// Where players come out of a house: just in front of it on its plot
+async function houseExit(plotId) {
+    const house = await housesCol.findOne({ id: plotId });
+    return { district: 'housing', pos: house ? validSpawn('housing', { x: house.x, y: house.y + 60 }) : null };
+}
+
+// Where a saved or departing player really stands: houses and battles don't outlive the
+// visit (nor do rooms that no longer exist), so those come back just outside instead
+async function outsideRoom(room, pos) {
+    if (isDistrict(room) && !isBattleRoom(room)) return { district: room, pos };
+    const plotId = plotIdFromRoom(room);
+    const exit = plotId ? await houseExit(plotId) : battleExit();
+    return { district: exit.district, pos: exit.pos || getDistrict(exit.district).spawn };
+}
+
+// Put someone who may no longer be inside a house back out on the plot
+async function sendOutOfHouse(player, reason) {
+    const socket = io.sockets.sockets.get(player.playerId);
+    const plotId = plotIdFromRoom(player.district);
+    if (!socket || !plotId) return;
+    const exit = await houseExit(plotId);
+    await handleDistrictChange(socket, exit.district, exit.pos);
+    socket.emit('houseAccessDenied', reason);
+}
+
+// After the owner changed who may come in
+async function evictUnwelcome(house) {
+    const owner = await usersCol.findOne({ username: house.owner });
+    const inside = Object.values(players).filter(p => p.district === houseRoom(house.id));
+    for (const player of inside) {
+        const reason = entryError(house, player.username, (owner && owner.friends) || []);
+        if (reason) await sendOutOfHouse(player, reason);
+    }
+}
+
+function onlinePlayer(username) {
+    return Object.values(players).find(p => p.username === username) || null;
+}
+
+// Tell a player their new balance if they're online
+function updateMoney(username, balance) {
+    const player = onlinePlayer(username);
+    if (player && balance !== null) {
+        player.money = balance;
+        io.to(player.playerId).emit('updateMoney', balance);
+    }
+}
+
+// A house changed hands: everybody but the new owner (if any) goes back outside
+async function emptyHouse(house) {
+    const inside = Object.values(players).filter(p => p.district === houseRoom(house.id) && p.username !== house.owner);
+    for (const player of inside) await sendOutOfHouse(player, 'sold');
+}
+
+// Player-to-player sale. The buyer pays first; the house only moves if the seller still
+// owns it, otherwise the buyer gets the coins back. Returns an error reason or null.
+async function transferHouse(house, buyer, price) {
+    const seller = house.owner;
+    const balance = await debit(buyer, price, REASONS.HOUSE_PURCHASE, house.id);
+    if (balance === null) return 'not_enough_money';
+
+    const { matchedCount } = await housesCol.updateOne({ id: house.id, owner: seller }, { $set: newOwnerFields(buyer) });
+    if (!matchedCount) {
+        updateMoney(buyer, await credit(buyer, price, REASONS.REFUND, house.id));
+        return 'not_available';
+    }
+    updateMoney(buyer, balance);
+    updateMoney(seller, await credit(seller, price, REASONS.HOUSE_SALE, house.id));
+
+    const updatedHouse = await housesCol.findOne({ id: house.id });
+    io.emit('houseUpdate', updatedHouse);
+    await emptyHouse(updatedHouse);
+    io.to('housing').emit('chatMessage', {
+        id: 'SYSTEM',
+        text: `${buyer} bought ${house.id} from ${seller} for ${price} coins!`,
+        color: '#ffff00'
+    });
+    return null;
+}
+
+// Healing never goes past maxHp
+function applyHeal(healer, target, amount) {
+    if (target.hp <= 0) return;
+    target.hp = Math.min(target.maxHp || 100, target.hp + amount);
+    io.to(target.district).emit('playerHit', { targetId: target.playerId, hp: target.hp, attackerId: healer.playerId, healed: true });
+}
+
+// What everyone else in the room sees of a player. The player object itself also carries
+// their inventories, friends and quiz progress: only their own loginSuccess sends those.
+function publicPlayer(p) {
+    const { playerId, username, color, x, y, state, district, equipment, inputSeq } = p;
+    const seen = { playerId, username, color, x, y, state, district, equipment: equipment || null, inputSeq };
+    if (isBattleRoom(district)) Object.assign(seen, { hp: p.hp, maxHp: p.maxHp, team: p.team, mode: p.mode });
+    return seen;
+}
+
+async function handleDistrictChange(socket, newRoom, spawnPos) {
+    if (!players[socket.id]) return;
+    const player = players[socket.id];
+    const oldRoom = player.district;
+
+    socket.leave(oldRoom);
+    socket.to(oldRoom).emit('playerDisconnected', socket.id);
+    if (oldRoom !== newRoom && isBattleRoom(oldRoom)) leaveBattle(player);
+
+    player.district = newRoom;
+    if (spawnPos) {
+        player.x = spawnPos.x;
+        player.y = spawnPos.y;
+    } else if (oldRoom !== newRoom) {
+        const spawn = getDistrict(newRoom).spawn;
+        player.x = spawn.x;
+        player.y = spawn.y;
+    }
+
+    if (isDistrict(newRoom)) {
+        await usersCol.updateOne({ username: player.username }, { $set: { district: newRoom, x: player.x, y: player.y } });
+    }
+
+    socket.join(newRoom);
+    sendBattleMap(socket, newRoom);
+    const roomPlayers = Object.values(players).filter(p => p.district === newRoom).map(publicPlayer);
+    socket.emit('playerChangedDistrict', roomPlayers);
+    socket.to(newRoom).emit('newPlayer', publicPlayer(player));
+    socket.emit('setDistrict', newRoom);
+    sendClassSession(socket, newRoom);
+
+    if (newRoom === 'housing') {
+        const persistentHousesArr = await housesCol.find().toArray();
+        const persistentHouses = {};
+        persistentHousesArr.forEach(h => persistentHouses[h.id] = h);
+        socket.emit('houseData', persistentHouses);
+    }
+}
+
+// Matchmaking put the player in a battle instance: move them there at full health
+function enterBattle(player, match) {
+    const socket = io.sockets.sockets.get(player.playerId);
+    if (!socket) return;
+    player.hp = 100;
+    player.maxHp = 100;
+    player.mode = match.mode;
+    socket.emit('queueStatus', null);
+
+    handleDistrictChange(socket, match.room, pickSpawnPoint(player, match.room, players)).then(() => {
+        io.to(match.room).emit('playerUpdate', { playerId: player.playerId, hp: player.hp, maxHp: player.maxHp, team: player.team, mode: player.mode });
+        io.to(match.room).emit('matchUpdate', matchState(match));
+    }).catch(e => console.error("Enter battle error:", e));
+}
 
 initDB().then(() => {
     io.on('connection', (socket) => {
         console.log('Client connected:', socket.id);
 
+        // Resume a previous session if the client presented a token in the handshake
+        const handshakeToken = socket.handshake.auth && socket.handshake.auth.token;
+        if (handshakeToken) resumeSession(socket, handshakeToken);
+
         socket.on('register', async ({ username, password }) => {
+            if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+                socket.emit('authError', 'Username and password are required');
+                return;
+            }
+
             const existing = await usersCol.findOne({ username });
             if (existing) {
                 socket.emit('authError', 'Username already taken');
                 return;
             }
 
+            const startDistrict = getDistrict(world.defaultDistrict);
             const newUser = {
                 username,
-                password, // Hash in real app!
-                x: 400,
-                y: 300,
-                district: 'plaza',
+                password: await hashPassword(password),
+                x: startDistrict.spawn.x,
+                y: startDistrict.spawn.y,
+                district: startDistrict.id,
                 color: `hsl(${Math.random() * 360}, 70%, 50%)`,
                 money: 1000,
-                equipment: null
+                equipment: null,
+                inventory: {},
+                furnitureInventory: {},
+                friends: []
             };
 
             await usersCol.insertOne(newUser);
-            loginUser(socket, username);
+            loginUser(socket, username, await startSession(username));
         });
 
         socket.on('login', async ({ username, password }) => {
             const user = await usersCol.findOne({ username });
-            if (!user || user.password !== password) {
+            if (!user || !(await verifyPassword(password, user.password))) {
                 socket.emit('authError', 'Invalid username or password');
                 return;
             }
@@ -134,18 +686,70 @@ initDB().then(() => {
                 socket.emit('authError', 'User already logged in');
                 return;
             }
-            loginUser(socket, username);
+
+            // Upgrade legacy plaintext (or outdated) hashes now that we know the password
+            if (needsRehash(user.password)) {
+                await usersCol.updateOne({ username }, { $set: { password: await hashPassword(password) } });
+            }
+            loginUser(socket, username, await startSession(username));
         });
 
-        async function loginUser(socket, username) {
-            const userData = await usersCol.findOne({ username });
+        async function startSession(username) {
+            // Dead sessions are never looked at again: clear them out as new ones start
+            await sessionsCol.deleteMany({ expiresAt: { $lte: Date.now() } });
+            await sessionsCol.deleteMany({ revoked: true });
+
+            const session = createSessionToken(username);
+            await sessionsCol.insertOne({
+                id: session.sid,
+                username,
+                createdAt: Date.now(),
+                expiresAt: session.exp,
+                revoked: false
+            });
+            return session;
+        }
+
+        async function resumeSession(socket, token) {
+            const session = await findSession(token);
+            if (!session) {
+                socket.emit('sessionExpired');
+                return;
+            }
+
+            // Same session still attached to a stale socket (e.g. page reload): replace it
+            const staleSocketId = Object.keys(socketSessionMap).find(id => socketSessionMap[id] === session.id);
+            if (staleSocketId) {
+                await removePlayer(staleSocketId);
+                const staleSocket = io.sockets.sockets.get(staleSocketId);
+                if (staleSocket) staleSocket.disconnect(true);
+            } else if (Object.values(socketUserMap).includes(session.username)) {
+                socket.emit('authError', 'User already logged in');
+                return;
+            }
+
+            loginUser(socket, session.username, { token, sid: session.id });
+        }
+
+        async function loginUser(socket, username, session) {
+            // Never keep the password hash on the broadcast player object
+            const { password, ...userData } = await usersCol.findOne({ username });
+            // Older saves could leave someone inside a battle room
+            const start = await outsideRoom(userData.district, { x: userData.x, y: userData.y });
             socketUserMap[socket.id] = username;
+            socketSessionMap[socket.id] = session.sid;
             players[socket.id] = {
                 ...userData,
+                district: start.district,
+                x: start.pos.x,
+                y: start.pos.y,
                 playerId: socket.id,
-                hp: 100,
-                maxHp: 100,
-                state: 'idle'
+                state: 'idle',
+                inputSeq: 0, // Last movement input processed (acknowledged in snapshots)
+                inventory: normalizeInventory(userData),
+                furnitureInventory: userData.furnitureInventory || {},
+                friends: userData.friends || [],
+                quizProgress: normalizeProgress(userData.quizProgress)
             };
 
             const district = players[socket.id].district;
@@ -159,50 +763,103 @@ initDB().then(() => {
             socket.emit('loginSuccess', {
                 ...players[socket.id],
                 playerId: socket.id,
-                items: items
+                items: items.map(item => ({ ...item, sellPrice: sellPrice(item) })), // What selling it back pays
+                furnitureCatalog: getFurnitureCatalog(),
+                world: worldDefinition,
+                quizSubjects: quizSubjects(),
+                sessionToken: session.token
             });
 
             socket.emit('houseData', persistentHouses);
+            sendBattleMap(socket, district);
 
-            const playersInDistrict = Object.values(players).filter(p => p.district === district);
+            const playersInDistrict = Object.values(players).filter(p => p.district === district).map(publicPlayer);
             socket.emit('currentPlayers', playersInDistrict);
-            socket.to(district).emit('newPlayer', players[socket.id]);
+            socket.to(district).emit('newPlayer', publicPlayer(players[socket.id]));
+            sendClassSession(socket, district);
+        }
+
+        // Persist and remove a logged-in player from the world (safe to call twice)
+        async function removePlayer(socketId) {
+            const username = socketUserMap[socketId];
+            const p = players[socketId];
+            delete players[socketId];
+            delete socketUserMap[socketId];
+            delete socketSessionMap[socketId];
+            clearMovement(socketId);
+            clearCombat(socketId);
+            clearQuiz(socketId);
+            leaveQueue(socketId);
+            if (p && isBattleRoom(p.district)) leaveBattle(p);
+            if (!username || !p) return;
+
+            const saved = await outsideRoom(p.district, { x: p.x, y: p.y });
+
+            await usersCol.updateOne(
+                { username },
+                { $set: { x: saved.pos.x, y: saved.pos.y, district: saved.district, equipment: p.equipment || null, inventory: p.inventory, furnitureInventory: p.furnitureInventory } }
+            );
+
+            const district = p.district;
+            if (district) {
+                io.sockets.sockets.get(socketId)?.leave(district);
+                io.to(district).emit('playerDisconnected', socketId);
+            }
         }
 
         socket.on('disconnect', async () => {
+            await removePlayer(socket.id);
+        });
+
+        socket.on('logout', async () => {
+            const sid = socketSessionMap[socket.id];
+            if (sid) {
+                await sessionsCol.updateOne({ id: sid }, { $set: { revoked: true } });
+            }
+            await removePlayer(socket.id);
+            socket.emit('loggedOut');
+        });
+
+        // Revoke every session of this user (e.g. "log out everywhere")
+        socket.on('logoutAll', async () => {
             const username = socketUserMap[socket.id];
-            if (username && players[socket.id]) {
-                const p = players[socket.id];
-                await usersCol.updateOne(
-                    { username },
-                    { $set: { x: p.x, y: p.y, district: p.district, money: p.money, equipment: p.equipment || null } }
-                );
-
-                const district = p.district;
-                delete players[socket.id];
-                delete socketUserMap[socket.id];
-                if (district) {
-                    io.to(district).emit('playerDisconnected', socket.id);
+            if (!username) return;
+            await sessionsCol.updateMany({ username }, { $set: { revoked: true } });
+            // Revoked tokens only stop the next resume: end the live sessions too
+            const others = Object.keys(socketSessionMap).filter(id => id !== socket.id && socketUserMap[id] === username);
+            for (const id of others) {
+                await removePlayer(id);
+                const other = io.sockets.sockets.get(id);
+                if (other) {
+                    other.emit('loggedOut');
+                    other.disconnect(true);
                 }
             }
+            await removePlayer(socket.id);
+            socket.emit('loggedOut');
         });
 
-        socket.on('playerMovement', (movementData) => {
-            if (players[socket.id]) {
-                players[socket.id].x = movementData.x;
-                players[socket.id].y = movementData.y;
-                players[socket.id].state = movementData.state || 'idle';
-                socket.to(players[socket.id].district).emit('playerMoved', players[socket.id]);
-            }
+        socket.on('playerInput', (inputs) => {
+            const player = players[socket.id];
+            if (!player) return;
+
+            // Simulated here with the shared movement code; everyone (including the sender,
+            // via the acknowledged inputSeq) sees the result in the next snapshot (gameLoop.js).
+            // The dead stay put until they respawn.
+            if (isBattleRoom(player.district) && player.hp <= 0) return;
+            applyInputs(player, inputs);
         });
 
-        socket.on('joinDistrict', (newDistrict, spawnPos) => {
-            if (!DISTRICTS.includes(newDistrict)) {
-                // Check if it's a house
-                if (!newDistrict.startsWith('house_')) return;
-            }
-            if (spawnPos && (typeof spawnPos.x !== 'number' || typeof spawnPos.y !== 'number')) {
-                spawnPos = null; // Sanitize
+        socket.on('joinDistrict', (newDistrict) => {
+            const player = players[socket.id];
+            // Houses only through their door (enterHouse), battles only through matchmaking
+            if (!player || typeof newDistrict !== 'string' || !isDistrict(newDistrict) || isBattleRoom(newDistrict)) return;
+
+            // Walking off an exit comes out on the matching edge next door; anything else (the
+            // map) arrives at the district spawn. Rejoining the current room moves nobody.
+            let spawnPos = null;
+            if (newDistrict !== player.district) {
+                spawnPos = validSpawn(newDistrict, exitArrival(player.district, newDistrict, player.x, player.y, EXIT_MARGIN));
             }
             handleDistrictChange(socket, newDistrict, spawnPos);
         });
@@ -212,10 +869,18 @@ initDB().then(() => {
             if (!player) return;
 
             const house = await housesCol.findOne({ id: plotId });
-            if (house && !house.owner && player.money >= house.price) {
-                player.money -= house.price;
-                await housesCol.updateOne({ id: plotId }, { $set: { owner: player.username } });
-                await usersCol.updateOne({ username: player.username }, { $set: { money: player.money } });
+            if (house && !house.owner) {
+                const balance = await debit(player.username, house.price, REASONS.HOUSE_PURCHASE, plotId);
+                if (balance === null) return;
+
+                // Someone else may have claimed the plot while we were paying
+                const { matchedCount } = await housesCol.updateOne({ id: plotId, owner: null }, { $set: { owner: player.username } });
+                if (!matchedCount) {
+                    player.money = await credit(player.username, house.price, REASONS.REFUND, plotId);
+                    socket.emit('updateMoney', player.money);
+                    return;
+                }
+                player.money = balance;
 
                 const updatedHouse = await housesCol.findOne({ id: plotId });
                 io.emit('houseUpdate', updatedHouse);
@@ -229,165 +894,681 @@ initDB().then(() => {
             }
         });
 
-        socket.on('enterHouse', (plotId) => {
-            const houseRoom = `house_${plotId}`;
-            handleDistrictChange(socket, houseRoom);
-        });
+        socket.on('enterHouse', async (plotId) => {
+            const player = players[socket.id];
+            if (!player || player.district !== 'housing') return;
+            const house = await housesCol.findOne({ id: plotId });
+            if (!house || !house.owner) return; // Nothing built on plots for sale
 
-        socket.on('leaveHouse', () => {
-            handleDistrictChange(socket, 'housing');
+            const owner = await usersCol.findOne({ username: house.owner });
+            const denied = entryError(house, player.username, (owner && owner.friends) || []);
+            if (denied) return socket.emit('houseAccessDenied', denied);
+
+            // The interior goes out first so the client can simulate the room as soon as it's in
+            const room = houseRoom(plotId);
+            const interior = loadRoomDistrict(room, interiorFor(house));
+            socket.emit('houseInterior', { room, district: interior, house });
+            await handleDistrictChange(socket, room, { ...interior.spawn });
         });
 
-        socket.on('placeFurniture', async ({ houseId, item }) => {
-            const house = await housesCol.findOne({ id: houseId });
+        // Out through the door, back in front of the house
+        socket.on('leaveHouse', async () => {
             const player = players[socket.id];
-            if (house && player && house.owner === player.username) {
-                await housesCol.updateOne(
-                    { id: houseId },
-                    { $push: { furniture: item } }
-                );
-                const updatedHouse = await housesCol.findOne({ id: houseId });
-                io.emit('houseUpdate', updatedHouse);
-            }
+            const plotId = player && plotIdFromRoom(player.district);
+            if (!plotId) return;
+            const exit = await houseExit(plotId);
+            await handleDistrictChange(socket, exit.district, exit.pos);
         });
 
-        socket.on('submitQuizAnswer', async ({ answer }) => {
+        // Access settings, owner only
+        async function ownedHouse(houseId) {
             const player = players[socket.id];
-            if (!player) return;
+            if (!player || typeof houseId !== 'string') return null;
+            const house = await housesCol.findOne({ id: houseId });
+            return house && house.owner === player.username ? house : null;
+        }
 
-            const { num1, num2, answer: playerAnswer } = answer;
-            const correctAnswer = num1 + num2;
+        async function saveAccess(houseId, access) {
+            await housesCol.updateOne({ id: houseId }, { $set: { access } });
+            const updatedHouse = await housesCol.findOne({ id: houseId });
+            io.emit('houseUpdate', updatedHouse);
+            await evictUnwelcome(updatedHouse);
+        }
 
-            if (parseInt(playerAnswer) === correctAnswer) {
-                player.money += 10;
-                await usersCol.updateOne({ username: player.username }, { $set: { money: player.money } });
-                socket.emit('updateMoney', player.money);
-                socket.emit('quizResult', { success: true, reward: 10, newTotal: player.money });
+        // Guest lists and friends only take people who have an account
+        async function otherUserError(username) {
+            const player = players[socket.id];
+            if (typeof username !== 'string' || username === player.username) return 'invalid_user';
+            return await usersCol.findOne({ username }) ? null : 'unknown_user';
+        }
+
+        socket.on('setHouseAccess', async ({ houseId, mode } = {}) => {
+            const house = await ownedHouse(houseId);
+            if (!house || !ACCESS_MODES.includes(mode)) return;
+            await saveAccess(houseId, { ...houseAccess(house), mode });
+        });
+
+        socket.on('setHouseGuest', async ({ houseId, username, allowed } = {}) => {
+            const house = await ownedHouse(houseId);
+            if (!house) return;
+            const access = houseAccess(house);
+            if (allowed) {
+                const error = await otherUserError(username);
+                if (error) return socket.emit('houseAccessError', error);
+                if (!access.guests.includes(username)) access.guests = [...access.guests, username];
+                access.banned = access.banned.filter(name => name !== username);
             } else {
-                socket.emit('quizResult', { success: false });
+                access.guests = access.guests.filter(name => name !== username);
             }
+            await saveAccess(houseId, access);
         });
 
-        socket.on('buyItem', async (itemId) => {
+        // Kicked guests may come back if the access rules let them; banned ones can't
+        socket.on('kickHouseGuest', async ({ houseId, username, ban } = {}) => {
+            const house = await ownedHouse(houseId);
+            if (!house || username === house.owner) return;
+            if (ban) {
+                const error = await otherUserError(username);
+                if (error) return socket.emit('houseAccessError', error);
+                const access = houseAccess(house);
+                if (!access.banned.includes(username)) access.banned = [...access.banned, username];
+                access.guests = access.guests.filter(name => name !== username);
+                await saveAccess(houseId, access); // Puts them out too
+                return;
+            }
+            const guest = Object.values(players).find(p => p.username === username && p.district === houseRoom(houseId));
+            if (guest) await sendOutOfHouse(guest, 'kicked');
+        });
+
+        socket.on('unbanHouseGuest', async ({ houseId, username } = {}) => {
+            const house = await ownedHouse(houseId);
+            if (!house) return;
+            const access = houseAccess(house);
+            await saveAccess(houseId, { ...access, banned: access.banned.filter(name => name !== username) });
+        });
+
+        // Friends (one-way: whoever you add may visit your friends-only houses)
+        async function saveFriends(player, friends) {
+            player.friends = friends;
+            await usersCol.updateOne({ username: player.username }, { $set: { friends } });
+            socket.emit('friendsUpdate', friends);
+        }
+
+        socket.on('addFriend', async (username) => {
             const player = players[socket.id];
             if (!player) return;
+            const error = await otherUserError(username);
+            if (error) return socket.emit('houseAccessError', error);
+            if (!player.friends.includes(username)) await saveFriends(player, [...player.friends, username]);
+        });
 
-            const item = await itemsCol.findOne({ id: itemId });
-            if (item && player.money >= item.price) {
-                player.money -= item.price;
-                player.equipment = itemId;
+        socket.on('removeFriend', async (username) => {
+            const player = players[socket.id];
+            if (!player) return;
+            await saveFriends(player, player.friends.filter(name => name !== username));
+            // No longer welcome in the friends-only houses
+            const houses = await housesCol.find({ owner: player.username }).toArray();
+            for (const house of houses) await evictUnwelcome(house);
+        });
 
-                await usersCol.updateOne(
-                    { username: player.username },
-                    { $set: { money: player.money, equipment: itemId } }
-                );
+        // Real-estate market. Everything for one house goes through its edit queue, so a
+        // listing, an offer and a sale can't overlap.
+        async function marketHouse(houseId) {
+            if (typeof houseId !== 'string') return null;
+            const house = await housesCol.findOne({ id: houseId });
+            return players[socket.id] && house && house.owner ? house : null;
+        }
 
-                socket.emit('updateMoney', player.money);
-                socket.emit('itemBought', { item: item, success: true });
-                io.to(player.district).emit('chatMessage', {
+        async function saveMarket(houseId, fields) {
+            await housesCol.updateOne({ id: houseId }, { $set: fields });
+            const updatedHouse = await housesCol.findOne({ id: houseId });
+            io.emit('houseUpdate', updatedHouse);
+        }
+
+        const marketError = (reason) => socket.emit('houseMarketError', reason);
+
+        socket.on('listHouse', ({ houseId, price } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            const player = players[socket.id];
+            if (!house || house.owner !== player.username) return marketError('not_owner');
+            if (!validHousePrice(price)) return marketError('invalid_price');
+
+            await saveMarket(houseId, { listPrice: price });
+            io.to('housing').emit('chatMessage', {
+                id: 'SYSTEM',
+                text: `${player.username} listed ${houseId} for ${price} coins`,
+                color: '#ffff00'
+            });
+        }));
+
+        socket.on('unlistHouse', ({ houseId } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            if (!house || house.owner !== players[socket.id].username) return marketError('not_owner');
+            await saveMarket(houseId, { listPrice: null });
+        }));
+
+        // Straight back to the city; the furniture goes into the owner's inventory
+        socket.on('sellHouseToCity', ({ houseId } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            const player = players[socket.id];
+            if (!house || house.owner !== player.username) return marketError('not_owner');
+
+            const { matchedCount } = await housesCol.updateOne(
+                { id: houseId, owner: player.username },
+                { $set: { ...newOwnerFields(null), furniture: [] } }
+            );
+            if (!matchedCount) return marketError('not_owner');
+
+            const refund = cityBuybackPrice(house);
+            updateMoney(player.username, await credit(player.username, refund, REASONS.HOUSE_SALE, houseId));
+            normalizeFurniture(house.furniture).forEach(piece => {
+                player.furnitureInventory = addItem(player.furnitureInventory, piece.type);
+            });
+            await saveFurnitureInventory(player);
+
+            const updatedHouse = await housesCol.findOne({ id: houseId });
+            io.emit('houseUpdate', updatedHouse);
+            await emptyHouse(updatedHouse);
+            io.to('housing').emit('chatMessage', {
+                id: 'SYSTEM',
+                text: `${houseId} is back on the market for ${house.price} coins`,
+                color: '#ffff00'
+            });
+        }));
+
+        // `price` is the asking price the buyer agreed to: a relisting since then doesn't sell
+        socket.on('buyListedHouse', ({ houseId, price } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            const player = players[socket.id];
+            if (!house || !house.listPrice) return marketError('not_listed');
+            if (house.owner === player.username) return marketError('own_house');
+            if (price !== house.listPrice) return marketError('price_changed');
+
+            const error = await transferHouse(house, player.username, house.listPrice);
+            if (error) marketError(error);
+        }));
+
+        // Offers aren't held back from the bidder's balance; it has to still be there when
+        // the owner accepts
+        socket.on('makeHouseOffer', ({ houseId, amount } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            const player = players[socket.id];
+            if (!house) return marketError('not_available');
+            if (house.owner === player.username) return marketError('own_house');
+            if (!validHousePrice(amount)) return marketError('invalid_price');
+            if (player.money < amount) return marketError('not_enough_money');
+
+            const offers = (house.offers || []).filter(offer => offer.from !== player.username);
+            if (offers.length >= MAX_OFFERS) return marketError('too_many_offers');
+            offers.push({ id: crypto.randomUUID(), from: player.username, amount, createdAt: Date.now() });
+            await saveMarket(houseId, { offers });
+
+            const owner = onlinePlayer(house.owner);
+            if (owner) {
+                io.to(owner.playerId).emit('chatMessage', {
                     id: 'SYSTEM',
-                    text: `${player.username} bought a ${item.name}!`,
+                    text: `${player.username} offered ${amount} coins for ${houseId}`,
                     color: '#ffff00'
                 });
-            } else {
-                socket.emit('itemBought', { success: false, message: "Not enough money" });
             }
+        }));
+
+        socket.on('withdrawHouseOffer', ({ houseId } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            if (!house) return;
+            const username = players[socket.id].username;
+            await saveMarket(houseId, { offers: (house.offers || []).filter(offer => offer.from !== username) });
+        }));
+
+        socket.on('declineHouseOffer', ({ houseId, offerId } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            if (!house || house.owner !== players[socket.id].username) return marketError('not_owner');
+            await saveMarket(houseId, { offers: (house.offers || []).filter(offer => offer.id !== offerId) });
+        }));
+
+        socket.on('acceptHouseOffer', ({ houseId, offerId } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await marketHouse(houseId);
+            if (!house || house.owner !== players[socket.id].username) return marketError('not_owner');
+            const offer = (house.offers || []).find(o => o.id === offerId);
+            if (!offer) return marketError('no_offer');
+
+            const error = await transferHouse(house, offer.from, offer.amount);
+            if (error === 'not_enough_money') {
+                // The bidder spent the coins since: the offer is no good any more
+                await saveMarket(houseId, { offers: house.offers.filter(o => o !== offer) });
+                return marketError('bidder_cannot_pay');
+            }
+            if (error) marketError(error);
+        }));
+
+        // Furniture is edited by the owner, from inside the house
+        async function editableHouse(houseId) {
+            const player = players[socket.id];
+            if (!player || typeof houseId !== 'string' || player.district !== houseRoom(houseId)) return null;
+            const house = await housesCol.findOne({ id: houseId });
+            if (!house || house.owner !== player.username) return null;
+            return { ...house, furniture: normalizeFurniture(house.furniture) };
+        }
+
+        function sendFurnitureInventory(player) {
+            socket.emit('furnitureInventoryUpdate', player.furnitureInventory);
+        }
+
+        async function saveFurnitureInventory(player) {
+            await usersCol.updateOne({ username: player.username }, { $set: { furnitureInventory: player.furnitureInventory } });
+            sendFurnitureInventory(player);
+        }
+
+        socket.on('buyFurniture', async (typeId) => {
+            const player = players[socket.id];
+            if (!player) return;
+
+            const type = getFurnitureType(typeId);
+            if (!type) {
+                socket.emit('furnitureBought', { success: false, message: "Unknown furniture" });
+                return;
+            }
+            const balance = await debit(player.username, type.price, REASONS.FURNITURE_PURCHASE, type.id);
+            if (balance === null) {
+                socket.emit('furnitureBought', { success: false, message: "Not enough money" });
+                return;
+            }
+            player.money = balance;
+            player.furnitureInventory = addItem(player.furnitureInventory, type.id);
+
+            socket.emit('updateMoney', player.money);
+            socket.emit('furnitureBought', { item: type, success: true });
+            await saveFurnitureInventory(player);
+        });
+
+        async function saveFurniture(houseId, furniture) {
+            await housesCol.updateOne({ id: houseId }, { $set: { furniture } });
+            const updatedHouse = await housesCol.findOne({ id: houseId });
+            io.emit('houseUpdate', updatedHouse);
+        }
+
+        socket.on('placeFurniture', ({ houseId, item } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await editableHouse(houseId);
+            const player = players[socket.id];
+            if (!house || !player || !item) return socket.emit('furnitureError', 'not_allowed');
+            if (house.furniture.length >= MAX_FURNITURE) return socket.emit('furnitureError', 'too_many');
+
+            // Placing uses up one from the owner's furniture inventory
+            const piece = createFurniture(item);
+            const error = placementError(house, piece) || (ownsItem(player.furnitureInventory, piece.type) ? null : 'not_owned');
+            if (error) return socket.emit('furnitureError', error);
+
+            player.furnitureInventory = removeItem(player.furnitureInventory, piece.type);
+            await saveFurniture(houseId, [...house.furniture, piece]);
+            await saveFurnitureInventory(player);
+        }));
+
+        // Moving and turning a piece go through the same checks as placing it
+        function changeFurniture(houseId, furnitureId, change) {
+            return queueHouseEdit(houseId, async () => {
+                const house = await editableHouse(houseId);
+                const piece = house && house.furniture.find(item => item.id === furnitureId);
+                if (!piece) return socket.emit('furnitureError', 'not_allowed');
+
+                const updated = { ...piece, ...change(piece) };
+                const error = placementError(house, updated, piece.id);
+                if (error) return socket.emit('furnitureError', error);
+                await saveFurniture(houseId, house.furniture.map(item => item === piece ? updated : item));
+            });
+        }
+
+        socket.on('moveFurniture', ({ houseId, furnitureId, x, y } = {}) =>
+            changeFurniture(houseId, furnitureId, () => ({ x: Math.round(x), y: Math.round(y) })));
+
+        socket.on('rotateFurniture', ({ houseId, furnitureId } = {}) =>
+            changeFurniture(houseId, furnitureId, piece => ({ rotation: nextRotation(piece.rotation) })));
+
+        // Picked up pieces go back into the owner's furniture inventory
+        socket.on('removeFurniture', ({ houseId, furnitureId } = {}) => queueHouseEdit(houseId, async () => {
+            const house = await editableHouse(houseId);
+            const piece = house && house.furniture.find(item => item.id === furnitureId);
+            const player = players[socket.id];
+            if (!piece || !player) return socket.emit('furnitureError', 'not_allowed');
+
+            await saveFurniture(houseId, house.furniture.filter(item => item !== piece));
+            player.furnitureInventory = addItem(player.furnitureInventory, piece.type);
+            await saveFurnitureInventory(player);
+        }));
+
+        // Quizzes are only handed out where there is a blackboard
+        function canTakeQuiz(player) {
+            return getDistrict(player.district).interactables.some(obj => obj.action === 'startQuiz');
+        }
+
+        socket.on('requestQuizQuestion', ({ subject } = {}) => {
+            const player = players[socket.id];
+            if (!player || !canTakeQuiz(player)) return;
+
+            const limit = checkRewardLimit(player.username);
+            if (!limit.ok) {
+                socket.emit('quizResult', { success: false, reason: limit.reason, retryIn: limit.retryIn });
+                return;
+            }
+            const question = issueQuestion(socket.id, subject, player.quizProgress.level);
+            if (!question) {
+                socket.emit('quizResult', { success: false, reason: 'unknown_subject' });
+                return;
+            }
+            socket.emit('quizQuestion', question);
+        });
+
+        socket.on('submitQuizAnswer', async ({ questionId, answer } = {}) => {
+            const player = players[socket.id];
+            if (!player || !canTakeQuiz(player)) return;
+
+            const result = answerQuestion(socket.id, player.username, questionId, answer);
+            if (!result.ok) {
+                socket.emit('quizResult', { success: false, reason: result.reason, retryIn: result.retryIn });
+                return;
+            }
+
+            const previousLevel = player.quizProgress.level;
+            player.quizProgress = recordAnswer(player.quizProgress, result.subject, result.correct);
+            await usersCol.updateOne({ username: player.username }, { $set: { quizProgress: player.quizProgress } });
+            const levelChange = player.quizProgress.level - previousLevel;
+            await recordStats(player.username, { quizAttempted: 1, quizCorrect: result.correct ? 1 : 0 });
+
+            if (!result.correct) {
+                socket.emit('quizResult', {
+                    success: false,
+                    reason: 'incorrect',
+                    correctAnswer: result.correctAnswer,
+                    progress: player.quizProgress,
+                    levelChange
+                });
+                return;
+            }
+
+            const reward = rewardFor(result.level, player.quizProgress.streak);
+            player.money = await credit(player.username, reward, REASONS.QUIZ_REWARD, questionId);
+            socket.emit('updateMoney', player.money);
+            socket.emit('quizResult', {
+                success: true,
+                reward,
+                newTotal: player.money,
+                progress: player.quizProgress,
+                levelChange
+            });
         });
 
-        socket.on('joinBattle', ({ mode, team }) => {
+        socket.on('startClassSession', ({ subject } = {}) => {
             const player = players[socket.id];
             if (!player) return;
 
-            player.hp = 100;
-            player.maxHp = 100;
-            player.mode = mode;
-            player.team = team;
+            const result = startClassSession(player, subject, player.quizProgress.level);
+            if (!result.ok) {
+                socket.emit('classSessionError', result.reason);
+                return;
+            }
+            io.to(player.district).emit('classSessionUpdate', classSessionState(result.session));
+            io.to(player.district).emit('chatMessage', {
+                id: 'SYSTEM',
+                text: `${player.username} is starting a class at the blackboard! Gather round!`,
+                color: '#ffff00'
+            });
+        });
 
-            handleDistrictChange(socket, 'arena_battle', { x: 400, y: 300 });
+        socket.on('submitClassAnswer', async ({ questionId, answer } = {}) => {
+            const player = players[socket.id];
+            if (!player) return;
 
-            io.to('arena_battle').emit('playerUpdate', player);
+            const result = submitClassAnswer(player, questionId, answer);
+            if (!result.ok) {
+                socket.emit('classSessionError', result.reason);
+                return;
+            }
+            // Only shows who has answered; correctness waits for the reveal
+            io.to(player.district).emit('classSessionUpdate', classSessionState(result.session));
+            await recordStats(player.username, { quizAttempted: 1, quizCorrect: result.correct ? 1 : 0 });
         });
 
-        socket.on('playerAttack', async ({ targetId }) => {
-            const attacker = players[socket.id];
-            const target = players[targetId];
+        function sendInventory(player) {
+            socket.emit('inventoryUpdate', { inventory: player.inventory, equipment: player.equipment || null });
+        }
 
-            if (!attacker || !target || attacker.district !== 'arena_battle' || target.district !== 'arena_battle') return;
+        async function setEquipment(player, itemId) {
+            player.equipment = itemId;
+            await usersCol.updateOne({ username: player.username }, { $set: { equipment: itemId } });
+            io.to(player.district).emit('playerUpdate', { playerId: player.playerId, equipment: itemId });
+        }
 
-            const items = await itemsCol.find().toArray();
-            const weapon = items.find(i => i.id === attacker.equipment);
-            const damage = weapon ? weapon.damage : 5;
+        socket.on('buyItem', async (itemId) => {
+            const player = players[socket.id];
+            if (!player) return;
+
+            const item = await itemsCol.findOne({ id: itemId });
+            if (!item) {
+                socket.emit('itemBought', { success: false, message: "Unknown item" });
+                return;
+            }
+            const error = canBuyItem(player.inventory, item);
+            if (error) {
+                socket.emit('itemBought', { success: false, message: error });
+                return;
+            }
+            const balance = await debit(player.username, item.price, REASONS.ITEM_PURCHASE, item.id);
+            if (balance === null) {
+                socket.emit('itemBought', { success: false, message: "Not enough money" });
+                return;
+            }
+            player.money = balance;
 
-            target.hp -= damage;
-            io.to('arena_battle').emit('playerHit', { targetId, hp: target.hp, attackerId: socket.id });
+            // A second purchase of the same item may have gone through while we were paying
+            const raceError = canBuyItem(player.inventory, item);
+            if (raceError) {
+                player.money = await credit(player.username, item.price, REASONS.REFUND, item.id);
+                socket.emit('updateMoney', player.money);
+                socket.emit('itemBought', { success: false, message: raceError });
+                return;
+            }
 
-            if (target.hp <= 0) {
-                attacker.money += 50;
-                await usersCol.updateOne({ username: attacker.username }, { $set: { money: attacker.money } });
+            player.inventory = addItem(player.inventory, item.id);
+            // First weapon goes straight into your hands
+            if (!player.equipment) player.equipment = item.id;
 
-                target.hp = 100;
-                target.x = 400;
-                target.y = 300;
+            await usersCol.updateOne(
+                { username: player.username },
+                { $set: { inventory: player.inventory, equipment: player.equipment } }
+            );
 
-                io.emit('playerUpdate', target);
-                io.to('arena_battle').emit('chatMessage', {
-                    id: 'SYSTEM',
-                    text: `${attacker.username} eliminated ${target.username}! +50 Coins`,
-                    color: '#ffaa00'
-                });
+            socket.emit('updateMoney', player.money);
+            socket.emit('itemBought', { item: item, success: true });
+            sendInventory(player);
+            io.to(player.district).emit('chatMessage', {
+                id: 'SYSTEM',
+                text: `${player.username} bought a ${item.name}!`,
+                color: '#ffff00'
+            });
+        });
+
+        socket.on('equipItem', async (itemId) => {
+            const player = players[socket.id];
+            if (!player || !ownsItem(player.inventory, itemId)) return;
+
+            await setEquipment(player, itemId);
+            sendInventory(player);
+        });
+
+        socket.on('unequipItem', async () => {
+            const player = players[socket.id];
+            if (!player || !player.equipment) return;
+
+            await setEquipment(player, null);
+            sendInventory(player);
+        });
+
+        socket.on('sellItem', async (itemId) => {
+            const player = players[socket.id];
+            if (!player || !ownsItem(player.inventory, itemId)) return;
+
+            // Take the item before anything async so it can't be sold twice
+            player.inventory = removeItem(player.inventory, itemId);
+            const item = await itemsCol.findOne({ id: itemId });
+            if (!item) return;
 
-                io.to(target.socketId).emit('playerRespawned');
-                socket.emit('updateMoney', attacker.money);
+            if (player.equipment === itemId && !ownsItem(player.inventory, itemId)) {
+                await setEquipment(player, null);
             }
+            await usersCol.updateOne({ username: player.username }, { $set: { inventory: player.inventory } });
+
+            const refund = sellPrice(item);
+            player.money = await credit(player.username, refund, REASONS.ITEM_SALE, itemId);
+
+            socket.emit('updateMoney', player.money);
+            socket.emit('itemSold', { item, refund });
+            sendInventory(player);
         });
 
-        socket.on('chatMessage', (msg) => {
+        socket.on('getStats', async ({ window } = {}) => {
             const player = players[socket.id];
-            if (player) {
-                io.to(player.district).emit('chatMessage', {
-                    id: player.username,
-                    text: msg,
-                    color: player.color
-                });
+            if (!player) return;
+
+            const statsWindow = WINDOWS.includes(window) ? window : 'all';
+            socket.emit('myStats', { window: statsWindow, ...(await getUserStats(player.username, statsWindow)) });
+        });
+
+        socket.on('getTransactions', async () => {
+            const player = players[socket.id];
+            if (!player) return;
+
+            socket.emit('transactionHistory', await getHistory(player.username));
+        });
+
+        // Queue up; matchmaking moves the player into a battle instance (enterBattle)
+        socket.on('joinBattle', ({ mode, teamSize, team } = {}) => {
+            const player = players[socket.id];
+            if (!player) return;
+
+            const result = enqueue(player, { mode, teamSize, team });
+            if (!result.ok) {
+                socket.emit('queueError', result.reason);
             }
+            // Queue status follows from the game loop
         });
 
-        async function handleDistrictChange(socket, newRoom, spawnPos) {
-            if (!players[socket.id]) return;
+        // Back out through the battle gate (the match goes on without us)
+        socket.on('leaveBattle', () => {
             const player = players[socket.id];
-            const oldRoom = player.district;
+            if (!player || !isBattleRoom(player.district)) return;
+            const exit = battleExit();
+            handleDistrictChange(socket, exit.district, exit.pos);
+        });
+
+        socket.on('leaveQueue', () => {
+            leaveQueue(socket.id);
+            socket.emit('queueStatus', null);
+        });
+
+        socket.on('playerAttack', async ({ angle } = {}) => {
+            const attacker = players[socket.id];
+            if (!attacker || !isBattleRoom(attacker.district) || attacker.hp <= 0) return;
+            if (!canFight(attacker)) {
+                socket.emit('attackRejected', { reason: 'match_not_active' });
+                return;
+            }
 
-            socket.leave(oldRoom);
-            socket.to(oldRoom).emit('playerDisconnected', socket.id);
+            const weapon = (attacker.equipment && await itemsCol.findOne({ id: attacker.equipment })) || UNARMED;
 
-            player.district = newRoom;
-            if (spawnPos) {
-                player.x = spawnPos.x;
-                player.y = spawnPos.y;
-            } else if (oldRoom !== newRoom) {
-                player.x = 400;
-                player.y = 300;
+            // Cooldown, range and line of sight are checked here, not trusted from the client
+            const check = checkCooldown(attacker, weapon);
+            if (!check.ok) {
+                socket.emit('attackRejected', { reason: check.reason, retryIn: check.retryIn });
+                return;
+            }
+            if (typeof angle !== 'number' || !Number.isFinite(angle)) {
+                socket.emit('attackRejected', { reason: 'invalid_aim' });
+                return;
+            }
+            recordAttack(attacker, weapon);
+            if (dropProtection(socket.id)) {
+                io.to(attacker.district).emit('playerUpdate', { playerId: socket.id, spawnProtection: 0 });
             }
 
-            if (DISTRICTS.includes(newRoom)) {
-                await usersCol.updateOne({ username: player.username }, { $set: { district: newRoom, x: player.x, y: player.y } });
+            const district = attacker.district;
+            const candidates = Object.values(players).filter(p => p.district === district);
+            const type = weapon.type || 'melee';
+
+            if (type === 'ranged') {
+                const projectile = spawnProjectile(attacker, weapon, angle);
+                io.to(district).emit('projectileSpawned', {
+                    id: projectile.id,
+                    ownerId: projectile.ownerId,
+                    x: projectile.x,
+                    y: projectile.y,
+                    vx: projectile.vx,
+                    vy: projectile.vy,
+                    range: weapon.range,
+                    color: projectile.color
+                });
+                return;
             }
 
-            socket.join(newRoom);
-            const roomPlayers = Object.values(players).filter(p => p.district === newRoom);
-            socket.emit('playerChangedDistrict', roomPlayers);
-            socket.to(newRoom).emit('newPlayer', player);
-            socket.emit('setDistrict', newRoom);
+            io.to(district).emit('attackEffect', {
+                attackerId: socket.id,
+                type,
+                angle,
+                arc: MELEE_ARC,
+                range: weapon.range,
+                color: weapon.color
+            });
 
-            if (newRoom === 'housing') {
-                const persistentHousesArr = await housesCol.find().toArray();
-                const persistentHouses = {};
-                persistentHousesArr.forEach(h => persistentHouses[h.id] = h);
-                socket.emit('houseData', persistentHouses);
+            if (type === 'near') {
+                healTargets(attacker, weapon, candidates).forEach(target => applyHeal(attacker, target, Math.abs(weapon.damage)));
+            } else {
+                meleeTargets(attacker, weapon, angle, candidates).forEach(target =>
+                    applyDamage(attacker, target, Math.max(0, weapon.damage)).catch(e => console.error("Melee damage error:", e)));
             }
-        }
+        });
+
+        socket.on('chatMessage', (msg) => {
+            const player = players[socket.id];
+            if (player) {
+                io.to(player.district).emit('chatMessage', {
+                    id: player.username,
+                    text: msg,
+                    color: player.color
+                });
+            }
+        });
     });
 
+    startGameLoop(io, players, [
+        // Projectiles fly between snapshots; hits go through the same damage path as melee
+        (dt) => updateProjectiles(dt, players, {
+            onHit: (projectile, target) => applyDamage(players[projectile.ownerId], target, projectile.damage)
+                .catch(e => console.error("Projectile damage error:", e)),
+            onRemove: (projectile) => io.to(projectile.district).emit('projectileRemoved', projectile.id)
+        }),
+        (dt, now) => updateClassSessions(now, players, {
+            onUpdate: (session) => io.to(session.district).emit('classSessionUpdate', classSessionState(session, now)),
+            onFinish: (session, results) => payClassPrizes(session, results).catch(e => console.error("Class prize error:", e)),
+            onEnd: (session) => io.to(session.district).emit('classSessionEnded')
+        }),
+        (dt, now) => updateMatches(now, {
+            onStart: startMatch,
+            onEnd: (match, results) => finishMatch(match, results).catch(e => console.error("Match reward error:", e)),
+            onMapChange: (match) => {
+                io.to(match.room).emit('battleMap', { room: match.room, map: getDistrict(match.room) });
+                // Nobody should be left standing in what's now a wall
+                match.participants.forEach(({ playerId }) => {
+                    if (players[playerId]) respawnPlayer(players[playerId]);
+                });
+            },
+            onUpdate: (match) => io.to(match.room).emit('matchUpdate', matchState(match, now))
+        }),
+        (dt, now) => updateRespawns(now, players, { onRespawn: respawnPlayer }),
+        (dt) => updateHazards(dt, players, { onHazard: applyHazardDamage }),
+        (dt, now) => updateMatchmaking(now, players, {
+            onAssign: enterBattle,
+            onStatus: (player, status) => io.to(player.playerId).emit('queueStatus', status)
+        })
+    ]);
+
     const PORT = process.env.PORT || 3000;
     httpServer.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,37 @@
+// Per-user inventory, stored on the user record as { itemId: quantity }.
+// Items are non-stackable (one copy each) unless the item sets `stackable: true`.
+
+// Fraction of the price refunded when selling an item back
+export const SELL_BACK_RATE = 0.5;
+
+// Users from before inventories only had the single `equipment` field
+export function normalizeInventory(user) {
+    const inventory = { ...(user.inventory || {}) };
+    if (user.equipment && !inventory[user.equipment]) inventory[user.equipment] = 1;
+    return inventory;
+}
+
+export function ownsItem(inventory, itemId) {
+    return (inventory[itemId] || 0) > 0;
+}
+
+// Returns an error message, or null if the item can be bought
+export function canBuyItem(inventory, item) {
+    if (!item.stackable && ownsItem(inventory, item.id)) return "You already own this item";
+    return null;
+}
+
+export function addItem(inventory, itemId, quantity = 1) {
+    return { ...inventory, [itemId]: (inventory[itemId] || 0) + quantity };
+}
+
+export function removeItem(inventory, itemId, quantity = 1) {
+    const updated = { ...inventory };
+    updated[itemId] = (updated[itemId] || 0) - quantity;
+    if (updated[itemId] <= 0) delete updated[itemId];
+    return updated;
+}
+
+export function sellPrice(item) {
+    return Math.floor(item.price * SELL_BACK_RATE);
+}
@@ -0,0 +1,292 @@
+import { loadRoomDistrict, unloadRoomDistrict } from '../shared/world.js';
+import { getBattleMap, mapRotation } from './battleMaps.js';
+
+// Match manager for battle rooms. Each room runs one match at a time:
+//   lobby (waiting for players) -> countdown -> active -> ended -> lobby ...
+// and the match decides who can fight, keeps score, ends on score or time limit and
+// produces the results and rewards. Every match plays on a battle map from the rotation
+// (battleMaps.js), the next one each time it goes back to the lobby.
+// Advanced by the game loop (updateMatches).
+
+export const MODES = {
+    ffa: {
+        name: 'Free-for-all',
+        description: 'Everyone for themselves. First to the kill limit wins.',
+        scoreLimit: 10, // Kills
+        timeLimit: 5 * 60 * 1000,
+        respawn: true,
+        prizes: [100, 50, 25] // 1st, 2nd, 3rd
+    },
+    tdm: {
+        name: 'Team Deathmatch',
+        description: 'Red vs Blue. No friendly fire. First team to the kill limit wins.',
+        teams: ['red', 'blue'],
+        scoreLimit: 20, // Team kills
+        timeLimit: 5 * 60 * 1000,
+        respawn: true,
+        teamPrize: 75, // Each member of the winning team
+        drawPrize: 25
+    },
+    lms: {
+        name: 'Last Man Standing',
+        description: 'One life each. The last one alive wins.',
+        timeLimit: 3 * 60 * 1000,
+        respawn: false,
+        prizes: [150]
+    }
+};
+
+export const DEFAULT_MODE = 'ffa';
+export const MIN_PLAYERS = 2;
+export const COUNTDOWN_TIME = 10 * 1000;
+export const RESULTS_TIME = 10 * 1000; // Results screen before the next lobby
+
+const matches = new Map(); // room -> match
+let nextRotation = 0; // New matches start at different points of the rotation
+
+export function isMode(mode) {
+    return Object.prototype.hasOwnProperty.call(MODES, mode);
+}
+
+export function getMatch(room) {
+    return matches.get(room) || null;
+}
+
+// Puts the room on the map at `index` in the rotation
+function setMap(match, index) {
+    const rotation = mapRotation();
+    match.rotationIndex = index;
+    match.mapId = rotation.length > 0 ? rotation[index % rotation.length] : null;
+    const map = match.mapId && getBattleMap(match.mapId);
+    if (map) loadRoomDistrict(match.room, map);
+}
+
+// The room's match, created with `mode` if there isn't one yet
+export function ensureMatch(room, mode, now = Date.now()) {
+    if (!matches.has(room)) {
+        const match = {
+            room,
+            mode: isMode(mode) ? mode : DEFAULT_MODE,
+            state: 'lobby',
+            stateEndsAt: null,
+            startedAt: null,
+            participants: new Map(), // playerId -> { playerId, username, team, kills, deaths, alive }
+            teamScores: {},
+            results: null,
+            createdAt: now
+        };
+        setMap(match, nextRotation++);
+        matches.set(room, match);
+    }
+    return matches.get(room);
+}
+
+function teamSizes(match) {
+    const sizes = {};
+    MODES[match.mode].teams.forEach(team => { sizes[team] = 0; });
+    match.participants.forEach(p => { if (p.team in sizes) sizes[p.team]++; });
+    return sizes;
+}
+
+// Requested team unless that would unbalance the teams; otherwise the smaller one
+function pickTeam(match, requested) {
+    const sizes = teamSizes(match);
+    const smallest = Math.min(...Object.values(sizes));
+    if (requested in sizes && sizes[requested] === smallest) return requested;
+    return Object.keys(sizes).find(team => sizes[team] === smallest);
+}
+
+// Adds the player and sets player.team. Late joiners of a last-man-standing round wait it out.
+export function joinMatch(match, player, requestedTeam) {
+    const mode = MODES[match.mode];
+    const team = mode.teams ? pickTeam(match, requestedTeam) : null;
+    const alive = mode.respawn || match.state !== 'active';
+    match.participants.set(player.playerId, {
+        playerId: player.playerId,
+        username: player.username,
+        team,
+        kills: 0,
+        deaths: 0,
+        alive
+    });
+    player.team = team;
+    return { team, alive };
+}
+
+export function leaveMatch(room, playerId) {
+    const match = matches.get(room);
+    if (!match) return;
+    match.participants.delete(playerId);
+    if (match.participants.size === 0) {
+        matches.delete(room);
+        unloadRoomDistrict(room);
+    }
+}
+
+// Damage only counts while the match is on, only between live participants and never
+// between teammates. Without a target: whether the attacker may attack at all.
+export function canFight(attacker, target) {
+    const match = matches.get(attacker.district);
+    if (!match || match.state !== 'active') return false;
+    const a = match.participants.get(attacker.playerId);
+    if (!a || !a.alive) return false;
+    if (!target) return true;
+    const t = match.participants.get(target.playerId);
+    return !!(t && t.alive && t !== a && (!a.team || a.team !== t.team));
+}
+
+function aliveCount(match) {
+    return [...match.participants.values()].filter(p => p.alive).length;
+}
+
+// Most kills first (fewest deaths breaks ties); in last-man-standing the survivors come first
+function standings(match) {
+    const lastManStanding = match.mode === 'lms';
+    return [...match.participants.values()].sort((a, b) => {
+        if (lastManStanding && a.alive !== b.alive) return a.alive ? -1 : 1;
+        return b.kills - a.kills || a.deaths - b.deaths;
+    });
+}
+
+function end(match, now) {
+    const mode = MODES[match.mode];
+    const ranked = standings(match);
+    const rewards = {}; // playerId -> coins
+    let winner = null;
+
+    if (mode.teams) {
+        const [first, second] = mode.teams;
+        const diff = (match.teamScores[first] || 0) - (match.teamScores[second] || 0);
+        winner = diff > 0 ? first : diff < 0 ? second : null;
+        ranked.forEach(p => {
+            rewards[p.playerId] = winner ? (p.team === winner ? mode.teamPrize : 0) : mode.drawPrize;
+        });
+    } else {
+        const contenders = match.mode === 'lms' ? ranked.filter(p => p.alive) : ranked.filter(p => p.kills > 0);
+        if (contenders[0]) winner = contenders[0].username;
+        contenders.slice(0, mode.prizes.length).forEach((p, i) => { rewards[p.playerId] = mode.prizes[i]; });
+    }
+
+    match.state = 'ended';
+    match.stateEndsAt = now + RESULTS_TIME;
+    match.results = {
+        winner,
+        teamScores: { ...match.teamScores },
+        standings: ranked.map(p => ({
+            username: p.username,
+            team: p.team,
+            kills: p.kills,
+            deaths: p.deaths,
+            prize: rewards[p.playerId] || 0
+        }))
+    };
+    return match.results;
+}
+
+// Called when target dies in a battle room. Returns { respawn, ended: results | null }
+export function recordKill(attacker, target, now = Date.now()) {
+    const match = matches.get(target.district);
+    if (!match || match.state !== 'active') return { respawn: true, ended: null };
+    const mode = MODES[match.mode];
+
+    const killer = match.participants.get(attacker.playerId);
+    const victim = match.participants.get(target.playerId);
+    if (victim) {
+        victim.deaths++;
+        if (!mode.respawn) victim.alive = false;
+    }
+    if (killer && killer !== victim) {
+        killer.kills++;
+        if (killer.team) match.teamScores[killer.team] = (match.teamScores[killer.team] || 0) + 1;
+    }
+
+    let ended = null;
+    if (mode.teams && killer && match.teamScores[killer.team] >= mode.scoreLimit) ended = end(match, now);
+    else if (!mode.teams && mode.scoreLimit && killer && killer.kills >= mode.scoreLimit) ended = end(match, now);
+    else if (!mode.respawn && aliveCount(match) <= 1) ended = end(match, now);
+
+    return { respawn: mode.respawn, ended };
+}
+
+function start(match, now) {
+    match.state = 'active';
+    match.startedAt = now;
+    match.stateEndsAt = now + MODES[match.mode].timeLimit;
+    match.results = null;
+    match.teamScores = {};
+    (MODES[match.mode].teams || []).forEach(team => { match.teamScores[team] = 0; });
+    match.participants.forEach(p => {
+        p.kills = 0;
+        p.deaths = 0;
+        p.alive = true;
+    });
+}
+
+// Game loop system. onStart(match) when a match goes live (reset players there),
+// onEnd(match, results) when it's decided, onMapChange(match) when the lobby moves on to
+// the next map and onUpdate(match) on every state change.
+export function updateMatches(now, { onStart, onEnd, onMapChange, onUpdate }) {
+    matches.forEach(match => {
+        const enough = match.participants.size >= MIN_PLAYERS;
+
+        if (match.state === 'lobby') {
+            if (!enough) return;
+            match.state = 'countdown';
+            match.stateEndsAt = now + COUNTDOWN_TIME;
+        } else if (match.state === 'countdown') {
+            if (!enough) {
+                // Someone left before the start
+                match.state = 'lobby';
+                match.stateEndsAt = null;
+            } else if (now >= match.stateEndsAt) {
+                start(match, now);
+                onStart(match);
+            } else {
+                return;
+            }
+        } else if (match.state === 'active') {
+            // Out of time, or everybody else left
+            const lastStanding = !MODES[match.mode].respawn && aliveCount(match) <= 1;
+            if (now < match.stateEndsAt && enough && !lastStanding) return;
+            onEnd(match, end(match, now));
+        } else if (match.state === 'ended') {
+            if (now < match.stateEndsAt) return;
+            match.state = 'lobby';
+            match.stateEndsAt = null;
+            match.results = null;
+            match.participants.forEach(p => {
+                p.kills = 0;
+                p.deaths = 0;
+                p.alive = true;
+            });
+            setMap(match, match.rotationIndex + 1);
+            onMapChange(match);
+        }
+        onUpdate(match);
+    });
+}
+
+// What players in the room see (HUD scoreboard and results)
+export function matchState(match, now = Date.now()) {
+    const mode = MODES[match.mode];
+    return {
+        mode: match.mode,
+        modeName: mode.name,
+        mapId: match.mapId,
+        mapName: match.mapId ? getBattleMap(match.mapId).name : null,
+        state: match.state,
+        remaining: match.stateEndsAt ? Math.max(0, match.stateEndsAt - now) : null,
+        scoreLimit: mode.scoreLimit || null,
+        minPlayers: MIN_PLAYERS,
+        teamScores: match.teamScores,
+        players: standings(match).map(p => ({
+            id: p.playerId,
+            username: p.username,
+            team: p.team,
+            kills: p.kills,
+            deaths: p.deaths,
+            alive: p.alive
+        })),
+        results: match.results
+    };
+}
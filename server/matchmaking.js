@@ -0,0 +1,135 @@
+import { MODES, MIN_PLAYERS, isMode, ensureMatch, getMatch, joinMatch } from './matches.js';
+import { BATTLE_DISTRICT, isBattleRoom } from '../shared/world.js';
+
+// Matchmaking: players queue for a mode (plus a team size in team deathmatch) and get
+// grouped into battle instances, separate "arena_battle_<n>" rooms that each run their
+// own match. Instances with free slots are topped up first; a new one is spun up once
+// enough players are waiting. An instance goes away with its match when the last player
+// leaves. Advanced by the game loop (updateMatchmaking).
+
+export const TEAM_SIZES = [1, 2, 3, 4]; // 1v1 ... 4v4
+export const DEFAULT_TEAM_SIZE = 2;
+const MAX_PLAYERS = { ffa: 8, lms: 6 }; // Modes without teams
+
+const queue = new Map(); // playerId -> { playerId, key, mode, teamSize, team, queuedAt, lastStatus }
+const instances = new Map(); // room -> { room, key, mode, teamSize, capacity, createdAt }
+let nextInstanceId = 1;
+
+function queueKey(mode, teamSize) {
+    return MODES[mode].teams ? `${mode}:${teamSize}` : mode;
+}
+
+function capacityFor(mode, teamSize) {
+    return MODES[mode].teams ? teamSize * MODES[mode].teams.length : MAX_PLAYERS[mode];
+}
+
+// Players it takes to open a new instance: full teams, or just enough for a match
+function neededFor(mode, teamSize) {
+    return MODES[mode].teams ? capacityFor(mode, teamSize) : MIN_PLAYERS;
+}
+
+// Returns { ok: true } or { ok: false, reason }. Queueing again replaces the old entry.
+export function enqueue(player, { mode, teamSize, team } = {}, now = Date.now()) {
+    if (!isMode(mode)) return { ok: false, reason: 'unknown_mode' };
+    if (isBattleRoom(player.district)) return { ok: false, reason: 'in_battle' };
+
+    const teams = MODES[mode].teams;
+    const size = teams ? Number(teamSize || DEFAULT_TEAM_SIZE) : null;
+    if (teams && !TEAM_SIZES.includes(size)) return { ok: false, reason: 'invalid_team_size' };
+
+    queue.set(player.playerId, {
+        playerId: player.playerId,
+        key: queueKey(mode, size),
+        mode,
+        teamSize: size,
+        team: teams && teams.includes(team) ? team : null,
+        queuedAt: now,
+        lastStatus: null
+    });
+    return { ok: true };
+}
+
+export function leaveQueue(playerId) {
+    return queue.delete(playerId);
+}
+
+function waitingFor(key) {
+    return [...queue.values()].filter(entry => entry.key === key).sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+// What the battle modal shows while waiting (null when not queued)
+export function queueStatus(playerId, now = Date.now()) {
+    const entry = queue.get(playerId);
+    if (!entry) return null;
+    const waiting = waitingFor(entry.key);
+    return {
+        mode: entry.mode,
+        modeName: MODES[entry.mode].name,
+        teamSize: entry.teamSize,
+        position: waiting.indexOf(entry) + 1,
+        waiting: waiting.length,
+        needed: neededFor(entry.mode, entry.teamSize),
+        waited: now - entry.queuedAt
+    };
+}
+
+function createInstance(mode, teamSize, now) {
+    const room = `${BATTLE_DISTRICT}_${nextInstanceId++}`;
+    const instance = { room, key: queueKey(mode, teamSize), mode, teamSize, capacity: capacityFor(mode, teamSize), createdAt: now };
+    instances.set(room, instance);
+    ensureMatch(room, mode, now);
+    return instance;
+}
+
+// Late joiners are fine until the match is decided, except in last-man-standing
+// where they would just be watching
+function hasRoom(instance) {
+    const match = getMatch(instance.room);
+    if (!match || match.participants.size >= instance.capacity) return false;
+    if (match.state === 'ended') return false;
+    return match.state !== 'active' || MODES[match.mode].respawn;
+}
+
+// Game loop system. onAssign(player, match) for each player put in an instance (already in
+// the match, still to be moved to its room), onStatus(player, status) when a waiting
+// player's place in the queue changes.
+export function updateMatchmaking(now, players, { onAssign, onStatus }) {
+    // Everybody left: the match is gone, so is the instance
+    instances.forEach((instance, room) => {
+        if (!getMatch(room)) instances.delete(room);
+    });
+
+    const byKey = new Map();
+    [...queue.values()].sort((a, b) => a.queuedAt - b.queuedAt).forEach(entry => {
+        if (!players[entry.playerId]) {
+            queue.delete(entry.playerId);
+            return;
+        }
+        if (!byKey.has(entry.key)) byKey.set(entry.key, []);
+        byKey.get(entry.key).push(entry);
+    });
+
+    byKey.forEach((waiting, key) => {
+        const { mode, teamSize } = waiting[0];
+        const fill = (instance) => {
+            const match = getMatch(instance.room);
+            while (waiting.length > 0 && match.participants.size < instance.capacity) {
+                const entry = waiting.shift();
+                queue.delete(entry.playerId);
+                const player = players[entry.playerId];
+                joinMatch(match, player, entry.team);
+                onAssign(player, match);
+            }
+        };
+
+        [...instances.values()].filter(instance => instance.key === key && hasRoom(instance)).forEach(fill);
+        while (waiting.length >= neededFor(mode, teamSize)) fill(createInstance(mode, teamSize, now));
+
+        waiting.forEach((entry, index) => {
+            const summary = `${index + 1}/${waiting.length}`;
+            if (entry.lastStatus === summary) return;
+            entry.lastStatus = summary;
+            onStatus(players[entry.playerId], queueStatus(entry.playerId, now));
+        });
+    });
+}
@@ -0,0 +1,56 @@
+import { TICK_MS, checkCollision, clampToDistrict, stepMovement } from '../shared/world.js';
+
+// Movement is input-driven: clients send numbered inputs ({ seq, dx, dy }, one per
+// client tick) and the server steps them with the same shared code the client uses for
+// prediction. The highest processed seq goes back in snapshots as `inputSeq` so the
+// client can drop acknowledged inputs and replay the rest.
+//
+// Speed is enforced by only accepting inputs as fast as real time allows (token bucket
+// in ticks); the cap lets a few bunched-up packets through after network jitter but
+// means idle time can't be saved up for a burst.
+const BURST_TICKS = 15;
+const MAX_INPUTS_PER_BATCH = 60;
+
+const inputStates = new Map(); // playerId -> { budget, lastAt }
+
+export function clearMovement(playerId) {
+    inputStates.delete(playerId);
+}
+
+export function applyInputs(player, inputs) {
+    if (!Array.isArray(inputs)) return;
+
+    const now = Date.now();
+    let state = inputStates.get(player.playerId);
+    if (!state) {
+        state = { budget: BURST_TICKS, lastAt: now };
+        inputStates.set(player.playerId, state);
+    }
+    state.budget = Math.min(BURST_TICKS, state.budget + (now - state.lastAt) / TICK_MS);
+    state.lastAt = now;
+
+    inputs.slice(0, MAX_INPUTS_PER_BATCH).forEach(input => {
+        if (!input || !Number.isInteger(input.seq) || input.seq <= player.inputSeq) return;
+        player.inputSeq = input.seq;
+
+        // Faster than real time: drop the input (still acknowledged, the client reconciles)
+        if (state.budget < 1) return;
+        state.budget -= 1;
+
+        const result = stepMovement(player.district, player, {
+            dx: Number(input.dx) || 0,
+            dy: Number(input.dy) || 0
+        });
+        player.x = result.x;
+        player.y = result.y;
+        player.state = result.moved ? 'walking' : 'idle';
+    });
+}
+
+// Sanitizes a requested spawn point; null if it is unusable
+export function validSpawn(district, pos) {
+    if (!pos || typeof pos.x !== 'number' || typeof pos.y !== 'number') return null;
+    const { x, y } = clampToDistrict(district, pos.x, pos.y);
+    if (checkCollision(district, x, y)) return null;
+    return { x, y };
+}
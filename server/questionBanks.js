@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { MAX_LEVEL, normalizeText } from './curriculum.js';
+
+// Teacher-authored question banks. Banks live in the `questionBanks` collection; files in
+// server/initial_data/question_banks/ (*.json or *.csv) are imported on startup when a bank
+// with the same id doesn't exist yet. Admins can import, list and disable banks over HTTP.
+//
+// Question types:
+// - choice:  { type, prompt, choices: [...], answer: index of the right choice }
+// - numeric: { type, prompt, answer: number, tolerance? }
+// - text:    { type, prompt, answers: [accepted answers] } (case and spacing don't matter)
+//
+// CSV columns: type,prompt,answer,choices,tolerance
+// - choices are separated by "|" and answer is the text of the right choice
+// - text questions list every accepted answer in the answer column, separated by "|"
+
+export const BANK_PREFIX = 'bank:'; // Quiz subject id for a bank, e.g. "bank:capitals"
+
+const QUESTION_TYPES = ['choice', 'numeric', 'text'];
+const MAX_QUESTIONS = 1000;
+
+let banksCol;
+const banks = new Map(); // id -> bank (cache of the collection)
+
+// Minimal RFC 4180 parser: quoted fields may contain commas, newlines and "" escapes
+export function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function questionsFromCsv(content) {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) throw new Error("CSV is empty");
+    const columns = header.map(normalizeText);
+    ['type', 'prompt', 'answer'].forEach(required => {
+        if (!columns.includes(required)) throw new Error(`CSV is missing the "${required}" column`);
+    });
+
+    return rows.map(values => {
+        const row = {};
+        columns.forEach((column, i) => { row[column] = (values[i] ?? '').trim(); });
+        const type = normalizeText(row.type);
+        if (type === 'choice') {
+            // No choices column: validateQuestion reports the missing choices
+            const choices = (row.choices || '').split('|').map(c => c.trim()).filter(Boolean);
+            return { type, prompt: row.prompt, choices, answer: row.answer };
+        }
+        if (type === 'text') {
+            return { type, prompt: row.prompt, answers: row.answer.split('|') };
+        }
+        return { type, prompt: row.prompt, answer: row.answer, tolerance: row.tolerance || undefined };
+    });
+}
+
+function validateQuestion(question, index) {
+    const where = `Question ${index + 1}`;
+    if (!question || typeof question !== 'object') throw new Error(`${where} is not an object`);
+    const type = question.type || 'numeric';
+    if (!QUESTION_TYPES.includes(type)) throw new Error(`${where} has unknown type "${type}"`);
+    const prompt = String(question.prompt ?? '').trim();
+    if (!prompt) throw new Error(`${where} has no prompt`);
+
+    if (type === 'choice') {
+        const choices = (Array.isArray(question.choices) ? question.choices : []).map(c => String(c).trim());
+        if (choices.length < 2) throw new Error(`${where} needs at least two choices`);
+        // The right answer may be given as the choice's index or its text
+        const answer = Number.isInteger(question.answer) ? question.answer : choices.indexOf(String(question.answer ?? '').trim());
+        if (!(answer >= 0 && answer < choices.length)) throw new Error(`${where}: answer must be one of the choices`);
+        return { type, prompt, choices, answer };
+    }
+
+    if (type === 'text') {
+        const answers = (Array.isArray(question.answers) ? question.answers : [question.answer])
+            .map(normalizeText)
+            .filter(Boolean);
+        if (answers.length === 0) throw new Error(`${where} has no accepted answers`);
+        return { type, prompt, answers };
+    }
+
+    const answer = Number(question.answer);
+    const tolerance = question.tolerance === undefined ? 0 : Number(question.tolerance);
+    if (question.answer === '' || !Number.isFinite(answer)) throw new Error(`${where}: answer must be a number`);
+    if (!Number.isFinite(tolerance) || tolerance < 0) throw new Error(`${where}: tolerance must be a positive number`);
+    return { type, prompt, answer, tolerance };
+}
+
+// Checks and normalizes a bank; throws an Error with a message fit for the importer
+export function validateBank(bank) {
+    if (!bank || typeof bank !== 'object') throw new Error("Bank must be an object");
+    const id = String(bank.id ?? '').trim();
+    if (!/^[a-z0-9_-]{1,40}$/.test(id)) throw new Error("Bank id must be 1-40 characters of a-z, 0-9, _ or -");
+    if (!Array.isArray(bank.questions) || bank.questions.length === 0) throw new Error("Bank has no questions");
+    if (bank.questions.length > MAX_QUESTIONS) throw new Error(`Banks are limited to ${MAX_QUESTIONS} questions`);
+
+    const level = bank.level === undefined ? 1 : Number(bank.level);
+    if (!Number.isInteger(level) || level < 1 || level > MAX_LEVEL) throw new Error(`Level must be 1-${MAX_LEVEL}`);
+
+    return {
+        id,
+        // "times_tables" -> "Times Tables" when the file doesn't name itself
+        name: String(bank.name || id.split(/[_-]/).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')).trim(),
+        level,
+        enabled: bank.enabled !== false,
+        source: bank.source || 'import',
+        questions: bank.questions.map(validateQuestion),
+        updatedAt: Date.now()
+    };
+}
+
+// format: 'json' (a bank object) or 'csv' (questions only; id/name/level come from `meta`).
+// Fields in `meta` win over the ones in the file.
+export function parseBank(content, format, meta = {}) {
+    if (format === 'csv') return validateBank({ ...meta, questions: questionsFromCsv(content) });
+    let bank;
+    try {
+        bank = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    return validateBank({ ...bank, ...meta });
+}
+
+async function saveBank(bank) {
+    const { matchedCount } = await banksCol.updateOne({ id: bank.id }, { $set: bank });
+    if (!matchedCount) await banksCol.insertOne({ ...bank });
+    banks.set(bank.id, bank);
+    return bank;
+}
+
+export async function initQuestionBanks(col, directory) {
+    banksCol = col;
+    (await banksCol.find().toArray()).forEach(({ _id, ...bank }) => banks.set(bank.id, bank));
+
+    if (!fs.existsSync(directory)) return;
+    for (const file of fs.readdirSync(directory)) {
+        const ext = path.extname(file).toLowerCase();
+        if (ext !== '.json' && ext !== '.csv') continue;
+        const id = path.basename(file, ext);
+        if (banks.has(id)) continue; // Already imported (and maybe edited or disabled since)
+        try {
+            const content = fs.readFileSync(path.join(directory, file), 'utf8');
+            await saveBank(parseBank(content, ext.slice(1), { id, source: `file:${file}` }));
+            console.log(`Imported question bank "${id}" from ${file}`);
+        } catch (e) {
+            console.error(`Could not load question bank ${file}:`, e.message);
+        }
+    }
+}
+
+export async function importBank(content, format, meta) {
+    return saveBank(parseBank(content, format, meta));
+}
+
+export async function setBankEnabled(id, enabled) {
+    const bank = banks.get(id);
+    if (!bank) return null;
+    return saveBank({ ...bank, enabled: !!enabled, updatedAt: Date.now() });
+}
+
+// Summaries for the admin listing (no answers)
+export function listBanks() {
+    return [...banks.values()].map(({ id, name, level, enabled, source, questions, updatedAt }) => ({
+        id, name, level, enabled, source, questionCount: questions.length, updatedAt
+    }));
+}
+
+// Subjects for the quiz picker
+export function bankSubjects() {
+    return [...banks.values()]
+        .filter(bank => bank.enabled)
+        .map(bank => ({ id: `${BANK_PREFIX}${bank.id}`, name: bank.name }));
+}
+
+// A random question from an enabled bank, shaped like a curriculum question (or null)
+export function pickBankQuestion(subject) {
+    const bank = banks.get(String(subject).slice(BANK_PREFIX.length));
+    if (!bank || !bank.enabled) return null;
+    const question = bank.questions[crypto.randomInt(bank.questions.length)];
+    return {
+        subject,
+        level: bank.level,
+        text: question.prompt,
+        ...question,
+        display: question.type === 'choice' ? question.choices[question.answer]
+            : question.type === 'text' ? question.answers[0]
+                : undefined
+    };
+}
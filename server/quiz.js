@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { MAX_LEVEL, SUBJECTS, generateQuestion, isCorrect } from './curriculum.js';
+import { BANK_PREFIX, pickBankQuestion } from './questionBanks.js';
+
+// Math quiz at the Academy blackboard. Questions are generated and kept here; the client
+// only ever sees the question text and id, and answers are checked against our record.
+// Each question can be answered once, expires, and rewards are rate limited per player.
+// Difficulty adapts to the player's recent accuracy (progress is stored on the user record).
+
+export const BASE_REWARD = 10; // Per level
+export const STREAK_STEP = 3; // Every 3 correct answers in a row...
+export const STREAK_BONUS = 5; // ...adds 5 coins
+export const MAX_STREAK_BONUS = 25;
+// Level changes are decided on the last RECENT_WINDOW answers
+const RECENT_WINDOW = 5;
+const LEVEL_UP_ACCURACY = 0.8;
+const LEVEL_DOWN_ACCURACY = 0.4;
+
+export const QUESTION_TTL = 30 * 1000;
+// Faster than anyone can read and type an answer
+export const MIN_ANSWER_TIME = 800;
+// At most REWARD_LIMIT rewarded answers per REWARD_WINDOW
+export const REWARD_LIMIT = 10;
+export const REWARD_WINDOW = 60 * 1000;
+
+const openQuestions = new Map(); // playerId -> { id, answer, issuedAt, expiresAt }
+// By username, and kept across reconnects: logging in again doesn't start a new window
+const rewardTimes = new Map(); // username -> [timestamps of rewarded answers]
+
+export function clearQuiz(playerId) {
+    openQuestions.delete(playerId);
+}
+
+function recentRewards(username, now) {
+    const times = (rewardTimes.get(username) || []).filter(t => now - t < REWARD_WINDOW);
+    if (times.length > 0) rewardTimes.set(username, times);
+    else rewardTimes.delete(username);
+    return times;
+}
+
+// Returns { ok: true } or { ok: false, reason, retryIn }
+export function checkRewardLimit(username, now = Date.now()) {
+    const times = recentRewards(username, now);
+    if (times.length >= REWARD_LIMIT) {
+        return { ok: false, reason: 'rate_limited', retryIn: REWARD_WINDOW - (now - times[0]) };
+    }
+    return { ok: true };
+}
+
+// Users from before the curriculum have no progress yet
+export function normalizeProgress(progress = {}) {
+    // Built-in subjects always show up; question banks once they've been played
+    const subjects = { ...progress.subjects };
+    Object.keys(SUBJECTS).forEach(id => {
+        subjects[id] = { answered: 0, correct: 0, ...subjects[id] };
+    });
+    return {
+        level: 1,
+        streak: 0,
+        bestStreak: 0,
+        answered: 0,
+        correct: 0,
+        recent: [], // Last answers, true = correct
+        ...progress,
+        subjects
+    };
+}
+
+// Returns the updated progress (the input is left untouched)
+export function recordAnswer(progress, subject, correct) {
+    const updated = normalizeProgress(progress);
+    updated.answered++;
+    const stats = updated.subjects[subject] || { answered: 0, correct: 0 };
+    updated.subjects[subject] = {
+        answered: stats.answered + 1,
+        correct: stats.correct + (correct ? 1 : 0)
+    };
+    updated.streak = correct ? updated.streak + 1 : 0;
+    updated.bestStreak = Math.max(updated.bestStreak, updated.streak);
+    if (correct) updated.correct++;
+
+    // Only the generated curriculum adapts; question banks have a fixed level
+    if (!SUBJECTS[subject]) return updated;
+
+    updated.recent = [...updated.recent, correct].slice(-RECENT_WINDOW);
+    if (updated.recent.length === RECENT_WINDOW) {
+        const accuracy = updated.recent.filter(Boolean).length / RECENT_WINDOW;
+        const level = accuracy >= LEVEL_UP_ACCURACY ? updated.level + 1
+            : accuracy <= LEVEL_DOWN_ACCURACY ? updated.level - 1
+                : updated.level;
+        const clamped = Math.max(1, Math.min(MAX_LEVEL, level));
+        if (clamped !== updated.level) {
+            // Start judging the new level from scratch
+            updated.level = clamped;
+            updated.recent = [];
+        }
+    }
+    return updated;
+}
+
+// Coins for a correct answer at `level` with `streak` correct answers in a row (including this one)
+export function rewardFor(level, streak) {
+    const bonus = Math.min(Math.floor(streak / STREAK_STEP) * STREAK_BONUS, MAX_STREAK_BONUS);
+    return BASE_REWARD * level + bonus;
+}
+
+// A new question (with its answer) from the curriculum or a question bank,
+// or null for a bank that is gone or disabled
+export function createQuestion(subject, level) {
+    const isBank = typeof subject === 'string' && subject.startsWith(BANK_PREFIX);
+    const generated = isBank ? pickBankQuestion(subject) : generateQuestion(subject, level);
+    if (!generated) return null;
+    return { type: 'numeric', ...generated, id: crypto.randomUUID() };
+}
+
+// The right answer as shown to players (e.g. "3/4" rather than 0.75)
+export function answerText(question) {
+    return question.display ?? String(question.answer);
+}
+
+// What the client may see of a question
+export function publicQuestion(question) {
+    return {
+        id: question.id,
+        subject: question.subject,
+        level: question.level,
+        type: question.type,
+        text: question.text,
+        choices: question.choices,
+        expiresAt: question.expiresAt
+    };
+}
+
+// Replaces any question the player still had open. Returns null for a bank that is gone or disabled.
+export function issueQuestion(playerId, subject, level, now = Date.now()) {
+    const created = createQuestion(subject, level);
+    if (!created) return null;
+
+    const question = { ...created, issuedAt: now, expiresAt: now + QUESTION_TTL };
+    openQuestions.set(playerId, question);
+    return publicQuestion(question);
+}
+
+// Consumes the question whatever the outcome.
+// Returns { ok: true, correct, subject, level, correctAnswer } or { ok: false, reason, retryIn? }
+export function answerQuestion(playerId, username, questionId, answer, now = Date.now()) {
+    const question = openQuestions.get(playerId);
+    if (!question || question.id !== questionId) return { ok: false, reason: 'unknown_question' };
+
+    if (now - question.issuedAt < MIN_ANSWER_TIME) {
+        // Too fast to be a person; keep the question so a real player can still answer it
+        return { ok: false, reason: 'too_fast', retryIn: MIN_ANSWER_TIME - (now - question.issuedAt) };
+    }
+
+    openQuestions.delete(playerId);
+    if (now > question.expiresAt) return { ok: false, reason: 'expired' };
+
+    const limit = checkRewardLimit(username, now);
+    if (!limit.ok) return limit;
+
+    const correct = isCorrect(question, answer);
+    if (correct) rewardTimes.set(username, [...recentRewards(username, now), now]);
+    return {
+        ok: true,
+        correct,
+        subject: question.subject,
+        level: question.level,
+        correctAnswer: answerText(question)
+    };
+}
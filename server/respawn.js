@@ -0,0 +1,85 @@
+import { getDistrict } from '../shared/world.js';
+import { isAlly } from './combat.js';
+
+// Death and respawn in battle rooms. The dead sit out RESPAWN_DELAY, then come back at the
+// map's spawn point furthest from any living enemy and can't be hurt for SPAWN_PROTECTION
+// (or until they attack). Spawn points are map data ("spawnPoints" in
+// initial_data/battle_maps/*.json, with an optional team); maps without them use the
+// district spawn.
+// Advanced by the game loop (updateRespawns).
+
+export const RESPAWN_DELAY = 3000;
+export const SPAWN_PROTECTION = 2000;
+
+const respawnAt = new Map(); // playerId -> timestamp
+const protectedUntil = new Map(); // playerId -> timestamp
+
+export function clearRespawn(playerId) {
+    respawnAt.delete(playerId);
+    protectedUntil.delete(playerId);
+}
+
+function spawnPointsFor(player, room) {
+    const district = getDistrict(room);
+    const points = district.spawnPoints && district.spawnPoints.length > 0 ? district.spawnPoints : [district.spawn];
+    // Team points when the map has them for this team; otherwise anywhere
+    const teamPoints = player.team ? points.filter(point => point.team === player.team) : [];
+    return teamPoints.length > 0 ? teamPoints : points;
+}
+
+// The spawn point whose nearest living enemy is furthest away (random when nobody's around)
+export function pickSpawnPoint(player, room, players) {
+    const points = spawnPointsFor(player, room);
+    const enemies = Object.values(players).filter(p =>
+        p.district === room && p.hp > 0 && !isAlly(player, p));
+    if (enemies.length === 0) {
+        const point = points[Math.floor(Math.random() * points.length)];
+        return { x: point.x, y: point.y };
+    }
+
+    let best = points[0];
+    let bestDistance = -1;
+    points.forEach(point => {
+        const nearest = Math.min(...enemies.map(enemy => Math.hypot(enemy.x - point.x, enemy.y - point.y)));
+        if (nearest > bestDistance) {
+            best = point;
+            bestDistance = nearest;
+        }
+    });
+    return { x: best.x, y: best.y };
+}
+
+// Returns the delay before the player comes back
+export function scheduleRespawn(playerId, now = Date.now()) {
+    respawnAt.set(playerId, now + RESPAWN_DELAY);
+    return RESPAWN_DELAY;
+}
+
+export function protect(playerId, now = Date.now()) {
+    protectedUntil.set(playerId, now + SPAWN_PROTECTION);
+    return SPAWN_PROTECTION;
+}
+
+export function isProtected(playerId, now = Date.now()) {
+    const until = protectedUntil.get(playerId);
+    if (until === undefined) return false;
+    if (now < until) return true;
+    protectedUntil.delete(playerId);
+    return false;
+}
+
+// Attacking gives up the protection. Returns true if there was any left.
+export function dropProtection(playerId, now = Date.now()) {
+    const had = isProtected(playerId, now);
+    protectedUntil.delete(playerId);
+    return had;
+}
+
+// Game loop system. onRespawn(player) once the player's timer is up.
+export function updateRespawns(now, players, { onRespawn }) {
+    respawnAt.forEach((at, playerId) => {
+        if (now < at) return;
+        respawnAt.delete(playerId);
+        if (players[playerId]) onRespawn(players[playerId]);
+    });
+}
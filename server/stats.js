@@ -0,0 +1,114 @@
+// Per-user stats for the leaderboards. Counters are kept in the `stats` collection as one
+// document per user per period ("all", "day:2026-03-14", "week:2026-W11"), so a daily or
+// weekly leaderboard is a single sorted query. Net worth and houses owned describe what
+// players have right now, so they are computed from users/houses instead.
+
+export const COUNTERS = ['kills', 'deaths', 'quizCorrect', 'quizAttempted', 'coinsEarned'];
+export const WINDOWS = ['daily', 'weekly', 'all'];
+export const LEADERBOARD_STATS = ['netWorth', 'coinsEarned', 'kills', 'deaths', 'quizAccuracy', 'quizCorrect', 'housesOwned'];
+
+// Fewer attempts than this and a lucky 2/2 would top the accuracy board
+export const MIN_QUIZ_ATTEMPTS = 10;
+export const MAX_LEADERBOARD_SIZE = 50;
+
+let statsCol;
+
+export function initStats(col) {
+    statsCol = col;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// ISO 8601 week: weeks start on Monday and week 1 holds the year's first Thursday (UTC)
+function isoWeek(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${pad(week)}`;
+}
+
+export function periodKey(window, now = Date.now()) {
+    const date = new Date(now);
+    if (window === 'daily') return `day:${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    if (window === 'weekly') return `week:${isoWeek(date)}`;
+    return 'all';
+}
+
+// changes: { kills: 1, ... } added to the all-time, daily and weekly counters
+export async function recordStats(username, changes, now = Date.now()) {
+    const inc = {};
+    Object.entries(changes).forEach(([counter, amount]) => {
+        if (COUNTERS.includes(counter) && amount) inc[counter] = amount;
+    });
+    if (!username || Object.keys(inc).length === 0) return;
+
+    await Promise.all(WINDOWS.map(window => statsCol.updateOne(
+        { username, period: periodKey(window, now) },
+        { $inc: inc, $set: { updatedAt: now } },
+        { upsert: true }
+    )));
+}
+
+function counters(doc = {}) {
+    const result = {};
+    COUNTERS.forEach(counter => { result[counter] = doc[counter] || 0; });
+    return result;
+}
+
+export function accuracy({ quizCorrect, quizAttempted }) {
+    return quizAttempted ? quizCorrect / quizAttempted : 0;
+}
+
+export async function getUserStats(username, window = 'all', now = Date.now()) {
+    const doc = await statsCol.findOne({ username, period: periodKey(window, now) });
+    return counters(doc || {});
+}
+
+// Top players for one of the counters (or quizAccuracy) in a window
+export async function topByCounter(stat, window, limit, now = Date.now()) {
+    const period = periodKey(window, now);
+    if (stat === 'quizAccuracy') {
+        const docs = await statsCol.find({ period, quizAttempted: { $gte: MIN_QUIZ_ATTEMPTS } }).toArray();
+        return docs
+            .map(doc => ({ username: doc.username, ...counters(doc) }))
+            .map(entry => ({ ...entry, value: Math.round(accuracy(entry) * 1000) / 10 })) // Percent, 1 decimal
+            .sort((a, b) => b.value - a.value || b.quizAttempted - a.quizAttempted)
+            .slice(0, limit);
+    }
+
+    const docs = await statsCol.find({ period, [stat]: { $gt: 0 } }).sort({ [stat]: -1 }).limit(limit).toArray();
+    return docs.map(doc => ({ username: doc.username, value: doc[stat] || 0 }));
+}
+
+// Money + what owned houses, items and furniture cost, and the number of houses, per user
+export function computeHoldings(users, houses, items, furniture = []) {
+    const itemPrices = {};
+    items.forEach(item => { itemPrices[item.id] = item.price || 0; });
+    const furniturePrices = {};
+    furniture.forEach(type => { furniturePrices[type.id] = type.price || 0; });
+    const valueOf = (inventory, prices) => Object.entries(inventory || {})
+        .reduce((sum, [id, quantity]) => sum + (prices[id] || 0) * quantity, 0);
+
+    const holdings = {};
+    users.forEach(user => {
+        const itemsValue = valueOf(user.inventory, itemPrices) + valueOf(user.furnitureInventory, furniturePrices);
+        holdings[user.username] = { netWorth: (user.money || 0) + itemsValue, housesOwned: 0 };
+    });
+    houses.forEach(house => {
+        const owner = house.owner && holdings[house.owner];
+        if (!owner) return;
+        owner.housesOwned++;
+        // The house and whatever has been put in it
+        owner.netWorth += (house.price || 0) + (house.furniture || []).reduce((sum, piece) => sum + (furniturePrices[piece.type] || 0), 0);
+    });
+    return holdings;
+}
+
+export function topByHoldings(stat, holdings, limit) {
+    return Object.entries(holdings)
+        .map(([username, values]) => ({ username, value: values[stat] }))
+        .filter(entry => entry.value > 0)
+        .sort((a, b) => b.value - a.value)
+        .slice(0, limit);
+}
@@ -0,0 +1,51 @@
+// Furniture footprints: the server validates placement with them, the client draws and
+// picks pieces with them. A piece is { id, type, color, x, y, rotation } with (x, y) its
+// centre in the house interior's coordinates and rotation in quarter turns (degrees).
+// The types are the furniture catalog (server/initial_data/furniture.json, kept in the
+// database): the server loads it at startup and ships it to the client on login; both
+// call loadFurnitureCatalog() with it.
+
+const DEFAULT_SIZE = { width: 20, height: 20 }; // Pieces whose type left the catalog
+
+let catalog = new Map(); // type id -> { id, name, price, width, height, color, sprite }
+
+export function loadFurnitureCatalog(types = []) {
+    catalog = new Map(types.map(type => [type.id, type]));
+    return catalog;
+}
+
+export function getFurnitureType(id) {
+    return catalog.get(id) || null;
+}
+
+export function getFurnitureCatalog() {
+    return [...catalog.values()];
+}
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+export function nextRotation(rotation) {
+    return ROTATIONS[(ROTATIONS.indexOf(rotation || 0) + 1) % ROTATIONS.length];
+}
+
+// Axis-aligned rectangle the piece covers; a quarter turn swaps width and height
+export function furnitureRect(item) {
+    const type = catalog.get(item.type) || DEFAULT_SIZE;
+    const turned = (item.rotation || 0) % 180 !== 0;
+    const width = turned ? type.height : type.width;
+    const height = turned ? type.width : type.height;
+    return { x: item.x - width / 2, y: item.y - height / 2, width, height };
+}
+
+export function rectsOverlap(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+// Topmost piece under the point (the last one drawn), or null
+export function furnitureAt(furniture = [], x, y) {
+    for (let i = furniture.length - 1; i >= 0; i--) {
+        const r = furnitureRect(furniture[i]);
+        if (x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height) return furniture[i];
+    }
+    return null;
+}
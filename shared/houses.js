@@ -0,0 +1,9 @@
+// House market rules both sides need: the server pays out the city buyback with them and
+// the client quotes it on the market's "Sell to the City" button.
+
+// Selling back to the city pays this fraction of what the plot costs new
+export const CITY_BUYBACK_RATE = 0.6;
+
+export function cityBuybackPrice(house) {
+    return Math.floor(house.price * CITY_BUYBACK_RATE);
+}
@@ -0,0 +1,197 @@
+// Shared world rules: imported by the server (validation) and the client (local movement,
+// interactions, rendering) so both sides agree on bounds, speed and collision.
+// District geometry is data (server/initial_data/world.json): the server loads it at
+// startup and ships it to the client on login; both call loadWorld() with it.
+
+export const WORLD_WIDTH = 800;
+export const WORLD_HEIGHT = 600;
+export const PLAYER_RADIUS = 15;
+
+// Movement: SPEED pixels per axis per client tick (one animation frame, ~60 Hz)
+export const SPEED = 5;
+export const TICK_MS = 1000 / 60;
+
+const DEFAULT_DISTRICT = {
+    name: '',
+    width: WORLD_WIDTH,
+    height: WORLD_HEIGHT,
+    spawn: { x: WORLD_WIDTH / 2, y: WORLD_HEIGHT / 2 },
+    exits: {},
+    obstacles: [],
+    interactables: []
+};
+
+let world = { defaultDistrict: 'plaza', districts: {} };
+const roomDistricts = new Map(); // room -> district loaded at runtime (battle maps)
+
+export function loadWorld(definition) {
+    const districts = {};
+    Object.entries(definition.districts || {}).forEach(([id, district]) => {
+        districts[id] = { ...DEFAULT_DISTRICT, ...district, id };
+    });
+    world = { ...definition, districts };
+    return world;
+}
+
+export function getWorld() {
+    return world;
+}
+
+export function isDistrict(id) {
+    return Object.prototype.hasOwnProperty.call(world.districts, id);
+}
+
+// Battle instances ("arena_battle_<n>", made by matchmaking) play on the map their match
+// picked (loadRoomDistrict); until then they fall back to the arena itself
+export const BATTLE_DISTRICT = 'arena_battle';
+
+export function isBattleRoom(id) {
+    return id === BATTLE_DISTRICT || (typeof id === 'string' && id.startsWith(`${BATTLE_DISTRICT}_`));
+}
+
+// Gives a room its own geometry (a battle map: obstacles, spawnPoints, bushes, hazards...)
+export function loadRoomDistrict(room, definition) {
+    const district = { ...DEFAULT_DISTRICT, ...definition, id: room };
+    roomDistricts.set(room, district);
+    return district;
+}
+
+export function unloadRoomDistrict(room) {
+    roomDistricts.delete(room);
+}
+
+// Unknown rooms (e.g. house interiors) get an empty 800x600 district
+export function getDistrict(id) {
+    return roomDistricts.get(id) || world.districts[isBattleRoom(id) ? BATTLE_DISTRICT : id] || { ...DEFAULT_DISTRICT, id };
+}
+
+export function getObstacles(district) {
+    return getDistrict(district).obstacles;
+}
+
+// Center point of an interactable / obstacle rectangle
+export function centerOf(rect) {
+    return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+// Bush / hazard area of a battle map the point is in, if any
+export function findArea(areas, x, y) {
+    return (areas || []).find(area =>
+        x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height) || null;
+}
+
+// Interactable (shop, blackboard, gate...) the position is close enough to use, if any
+export function findInteractable(district, x, y) {
+    return getDistrict(district).interactables.find(obj => {
+        const c = centerOf(obj);
+        return Math.hypot(x - c.x, y - c.y) < obj.radius;
+    }) || null;
+}
+
+// Check if circle (player) intersects with rectangle (obstacle)
+export function circleIntersectsRect(x, y, radius, rect) {
+    const closestX = Math.max(rect.x, Math.min(x, rect.x + rect.width));
+    const closestY = Math.max(rect.y, Math.min(y, rect.y + rect.height));
+
+    const distanceX = x - closestX;
+    const distanceY = y - closestY;
+    return (distanceX * distanceX) + (distanceY * distanceY) < (radius * radius);
+}
+
+export function checkCollision(district, x, y, radius = PLAYER_RADIUS) {
+    return getObstacles(district).some(obstacle => circleIntersectsRect(x, y, radius, obstacle));
+}
+
+// Liang-Barsky clip: true if the segment (x1,y1)-(x2,y2) passes through the rectangle
+export function segmentIntersectsRect(x1, y1, x2, y2, rect) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const edges = [
+        [-dx, x1 - rect.x],
+        [dx, rect.x + rect.width - x1],
+        [-dy, y1 - rect.y],
+        [dy, rect.y + rect.height - y1]
+    ];
+
+    let t0 = 0;
+    let t1 = 1;
+    for (const [p, q] of edges) {
+        if (p === 0) {
+            if (q < 0) return false; // Parallel and outside
+            continue;
+        }
+        const r = q / p;
+        if (p < 0) {
+            if (r > t1) return false;
+            if (r > t0) t0 = r;
+        } else {
+            if (r < t0) return false;
+            if (r < t1) t1 = r;
+        }
+    }
+    return true;
+}
+
+export function hasLineOfSight(district, x1, y1, x2, y2) {
+    return !getObstacles(district).some(obstacle => segmentIntersectsRect(x1, y1, x2, y2, obstacle));
+}
+
+// Players may step past an edge only where that edge leads to another district
+function getBounds(district) {
+    const { width, height, exits } = getDistrict(district);
+    return {
+        minX: exits.left ? -SPEED : 0,
+        maxX: exits.right ? width + SPEED : width,
+        minY: exits.top ? -SPEED : 0,
+        maxY: exits.bottom ? height + SPEED : height
+    };
+}
+
+export function isInBounds(district, x, y) {
+    const { minX, maxX, minY, maxY } = getBounds(district);
+    return x >= minX && x <= maxX && y >= minY && y <= maxY;
+}
+
+// One movement tick for an input { dx, dy } (each -1, 0 or 1). The client runs this to
+// predict its own movement and the server runs it to apply the same input, so both
+// arrive at exactly the same position.
+export function stepMovement(district, pos, input) {
+    const { minX, maxX, minY, maxY } = getBounds(district);
+    const newX = Math.max(minX, Math.min(maxX, pos.x + Math.sign(input.dx || 0) * SPEED));
+    const newY = Math.max(minY, Math.min(maxY, pos.y + Math.sign(input.dy || 0) * SPEED));
+
+    if (newX === pos.x && newY === pos.y) return { x: pos.x, y: pos.y, moved: false };
+
+    // A player already stuck inside an obstacle (e.g. old saved position) may walk out
+    if (!checkCollision(district, newX, newY) || checkCollision(district, pos.x, pos.y)) {
+        return { x: newX, y: newY, moved: true };
+    }
+
+    // Try moving only on one axis if diagonal movement is blocked (sliding)
+    if (newX !== pos.x && !checkCollision(district, newX, pos.y)) return { x: newX, y: pos.y, moved: true };
+    if (newY !== pos.y && !checkCollision(district, pos.x, newY)) return { x: pos.x, y: newY, moved: true };
+    return { x: pos.x, y: pos.y, moved: false };
+}
+
+const EXIT_OFFSET = 75; // How far in from the edge players arrive, clear of the exit back
+
+// Where a player at (x, y) comes out after walking off an edge of `from` that leads to `to`
+// (on the matching edge, lined up with where they left), or null if they aren't within
+// `margin` of such an edge. The client predicts with it; the server decides with it.
+export function exitArrival(from, to, x, y, margin = 0) {
+    const { width, height, exits } = getDistrict(from);
+    const target = getDistrict(to);
+    if (exits.left === to && x < margin) return { x: target.width - EXIT_OFFSET, y };
+    if (exits.right === to && x > width - margin) return { x: EXIT_OFFSET, y };
+    if (exits.top === to && y < margin) return { x, y: target.height - EXIT_OFFSET };
+    if (exits.bottom === to && y > height - margin) return { x, y: EXIT_OFFSET };
+    return null;
+}
+
+export function clampToDistrict(district, x, y) {
+    const { width, height } = getDistrict(district);
+    return {
+        x: Math.max(0, Math.min(width, x)),
+        y: Math.max(0, Math.min(height, y))
+    };
+}
@@ -8,7 +8,8 @@ export default defineConfig({
             '/socket.io': {
                 target: 'http://localhost:3000',
                 ws: true
-            }
+            },
+            '/api': 'http://localhost:3000'
         }
     },
     publicDir: 'public',